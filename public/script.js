@@ -12,6 +12,41 @@ document.addEventListener('DOMContentLoaded', () => {
 
     let selectedFile = null;
     let currentYearCounts = {}; // Stores year analysis data
+    let currentAgeCounts = { months: {}, years: {} }; // Age on the first day of the plan period
+    let columnOverrides = {}; // { birthDate: 3, gender: null, ... } roles chosen by the user
+    let filterCounts = new Map(); // JSON of range filter rules -> { yearCounts, ageCounts } from /api/analyze
+    let analysisId = 0; // Drops filter counts that arrive for an older analysis
+    let filterCountsTimer = null;
+    let currentColumnValues = []; // { index, header, values: [{ value, count }] } for the filter editor
+
+    const COLUMN_ROLE_LABELS = {
+        birthDate: "Tug'ilgan sana",
+        name: 'F.I.SH',
+        id: 'Tartib raqam (№)',
+        gender: 'Jinsi',
+        jshshir: 'JSHSHIR',
+        address: 'Manzil / mahalla'
+    };
+    const FILTER_OP_LABELS = {
+        equals: 'teng',
+        notEquals: 'teng emas',
+        contains: "o'z ichiga oladi",
+        in: "ro'yxatdan biri (vergul bilan)",
+        empty: "bo'sh",
+        notEmpty: "bo'sh emas",
+        gt: '>',
+        gte: '≥',
+        lt: '<',
+        lte: '≤'
+    };
+    const VALUELESS_FILTER_OPS = ['empty', 'notEmpty'];
+    const CONFIDENCE_CLASSES = {
+        high: 'stat-ok',
+        manual: 'stat-ok',
+        medium: 'stat-warning',
+        low: 'stat-error',
+        none: ''
+    };
 
     // --- File Handling & Analysis ---
 
@@ -48,12 +83,48 @@ document.addEventListener('DOMContentLoaded', () => {
     async function handleFiles(files) {
         if (!files.length) return;
         selectedFile = files[0];
+        columnOverrides = {};
         fileNameDisplay.textContent = `Tanlandi: ${selectedFile.name}`;
         fileNameDisplay.style.display = 'block';
 
         // Upload to analyze immediately
+        await analyzeFile();
+    }
+
+    // Request body of /api/analyze; filterLists - range filter rules to count on the server
+    function analysisForm(filterLists) {
         const formData = new FormData();
         formData.append('file', selectedFile);
+        if (Object.keys(columnOverrides).length > 0) formData.append('columns', JSON.stringify(columnOverrides));
+        formData.append('targetYear', document.getElementById('targetYear').value);
+        formData.append('startMonth', document.getElementById('startMonth').value);
+        formData.append('duplicates', document.getElementById('duplicatePolicy').value);
+        if (filterLists.length > 0) formData.append('filters', JSON.stringify(filterLists));
+        return formData;
+    }
+
+    // Distinct non-empty filter rule lists of the range cards, as filterCounts keys
+    function rangeFilterKeys() {
+        const keys = new Set();
+        document.querySelectorAll('.range-item').forEach(item => {
+            const filters = readRange(item).filters;
+            if (filters.length > 0) keys.add(JSON.stringify(filters));
+        });
+        return [...keys];
+    }
+
+    function storeFilterCounts(keys, counts) {
+        keys.forEach((key, i) => {
+            if (counts && counts[i]) filterCounts.set(key, counts[i]);
+        });
+    }
+
+    // Analyze (again after a column override)
+    async function analyzeFile() {
+        const id = ++analysisId;
+        const keys = rangeFilterKeys();
+        const formData = analysisForm(keys.map(key => JSON.parse(key)));
+        filterCounts = new Map();
 
         try {
             const response = await fetch('/api/analyze', {
@@ -61,9 +132,15 @@ document.addEventListener('DOMContentLoaded', () => {
                 body: formData
             });
 
+            const result = await response.json();
+            // A newer analysis was started meanwhile: its counts win
+            if (id !== analysisId) return;
+
             if (response.ok) {
-                const result = await response.json();
                 currentYearCounts = result.yearCounts || {};
+                currentAgeCounts = result.ageCounts || { months: {}, years: {} };
+                storeFilterCounts(keys, result.filterCounts);
+                currentColumnValues = result.columnValues || [];
                 console.log('Analysis Result:', currentYearCounts);
 
 
@@ -78,24 +155,502 @@ document.addEventListener('DOMContentLoaded', () => {
                         fileInfo = div; // Assign the newly created div
                     }
                     fileInfo.textContent = `Jami topilgan aholi: ${result.totalPatients}`;
+                    if (result.removedDuplicates > 0) {
+                        fileInfo.textContent += ` (${result.removedDuplicates} ta takroriy qator hisobga olinmadi)`;
+                    }
+
+                    // Gender source breakdown (how reliable the male/female split is)
+                    if (result.genderSources) {
+                        const labels = {
+                            column: 'Jinsi ustuni',
+                            jshshir: 'JSHSHIR',
+                            patronymic: 'Otasining ismi',
+                            surname: 'Familiya',
+                            default: 'Aniqlanmagan'
+                        };
+                        const parts = Object.keys(labels)
+                            .filter(k => result.genderSources[k] > 0)
+                            .map(k => `${labels[k]}: ${result.genderSources[k]}`);
+                        if (parts.length > 0) {
+                            fileInfo.textContent += ` | Jins aniqlash manbasi — ${parts.join(', ')}`;
+                        }
+                    }
                 }
 
+                renderProblems(result.problems || []);
+                renderDuplicates(result.duplicates || []);
+                if (result.columns) renderColumnMapping(result.headers || [], result.columns);
+                renderGroupColumnOptions(result.headers || []);
+                renderFilterValueLists();
+                document.querySelectorAll('.filter-row').forEach(refreshFilterColumns);
+
                 // Trigger validation updates for all existing ranges
                 document.querySelectorAll('.range-item').forEach(updateRangeValidation);
+            } else {
+                alert('Xatolik: ' + (result.error || 'Faylni tahlil qilib bo\'lmadi'));
             }
         } catch (e) {
             console.error("Analysis failed", e);
         }
     }
 
+    // --- Data Quality ---
+
+    // Rows that will be left out of the plan (fix them in the source register)
+    function renderProblems(problems) {
+        let problemsDiv = document.getElementById('problems-info');
+        if (problems.length === 0) {
+            if (problemsDiv) problemsDiv.style.display = 'none';
+            return;
+        }
+        if (!problemsDiv) {
+            problemsDiv = document.createElement('div');
+            problemsDiv.id = 'problems-info';
+            problemsDiv.className = 'warning-message';
+            document.getElementById('drop-area').after(problemsDiv);
+        }
+
+        let html = `<details><summary>Rejaga kirmaydigan qatorlar: ${problems.length}</summary><ul>`;
+        problems.forEach(p => {
+            const value = p.value ? ` (${escapeHtml(p.value)})` : '';
+            html += `<li>${p.row}-qator${p.name ? ', ' + escapeHtml(p.name) : ''}: ${escapeHtml(p.reason)}${value}</li>`;
+        });
+        html += '</ul></details>';
+
+        problemsDiv.innerHTML = html;
+        problemsDiv.style.display = 'block';
+    }
+
+    // Same person found more than once in the register
+    function renderDuplicates(duplicates) {
+        let dupDiv = document.getElementById('duplicates-info');
+        if (duplicates.length === 0) {
+            if (dupDiv) dupDiv.style.display = 'none';
+            return;
+        }
+        if (!dupDiv) {
+            dupDiv = document.createElement('div');
+            dupDiv.id = 'duplicates-info';
+            dupDiv.className = 'warning-message';
+            (document.getElementById('problems-info') || document.getElementById('drop-area')).after(dupDiv);
+        }
+
+        let html = `<details><summary>Takroriy bemorlar: ${duplicates.length}</summary><ul>`;
+        duplicates.forEach(d => {
+            const by = d.by === 'jshshir' ? 'JSHSHIR' : 'F.I.SH va sana';
+            html += `<li>${escapeHtml(d.name)} ${escapeHtml(d.birthDate)} (${by}): ${d.rows.join(', ')}-qatorlar</li>`;
+        });
+        html += '</ul></details>';
+
+        dupDiv.innerHTML = html;
+        dupDiv.style.display = 'block';
+    }
+
+    function escapeHtml(str) {
+        return String(str).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+    }
+
+    // --- Column Mapping ---
+
+    function renderColumnMapping(headers, columns) {
+        const container = document.getElementById('columns-mapping');
+        const grid = document.getElementById('columns-grid');
+        grid.innerHTML = '';
+
+        Object.keys(COLUMN_ROLE_LABELS).forEach(role => {
+            const pick = columns[role] || {};
+
+            const group = document.createElement('div');
+            group.className = 'form-group';
+
+            const label = document.createElement('label');
+            label.textContent = COLUMN_ROLE_LABELS[role];
+            group.appendChild(label);
+
+            const select = document.createElement('select');
+            select.dataset.role = role;
+            if (role !== 'birthDate') {
+                select.appendChild(new Option("— yo'q —", ''));
+            }
+            headers.forEach(h => {
+                select.appendChild(new Option(`${h.index}. ${h.header || '(bo\'sh)'}`, h.index));
+            });
+            select.value = pick.index ? String(pick.index) : '';
+            select.addEventListener('change', () => {
+                columnOverrides[role] = select.value ? parseInt(select.value) : null;
+                analyzeFile();
+            });
+            group.appendChild(select);
+
+            const reason = document.createElement('div');
+            reason.className = `column-reason ${CONFIDENCE_CLASSES[pick.confidence] || ''}`;
+            reason.textContent = pick.reason || '';
+            group.appendChild(reason);
+
+            grid.appendChild(group);
+        });
+
+        container.classList.remove('hidden');
+    }
+
+    // Column whose values split the plan into folders (one per doctor / uchastka)
+    function renderGroupColumnOptions(headers) {
+        const select = document.getElementById('groupColumn');
+        const current = select.value;
+        select.innerHTML = '';
+        select.appendChild(new Option("— bo'linmasin —", ''));
+        headers.forEach(h => {
+            select.appendChild(new Option(`${h.index}. ${h.header || '(bo\'sh)'}`, h.index));
+        });
+        if (headers.some(h => String(h.index) === current)) select.value = current;
+        renderGroupCapacity();
+    }
+
+    // Own daily capacity per value of the split column (doctor / uchastka); typed values are kept
+    function renderGroupCapacity() {
+        const block = document.getElementById('groupCapacityGroup');
+        const container = document.getElementById('groupCapacity');
+        const column = currentColumnValues.find(c => String(c.index) === document.getElementById('groupColumn').value);
+        const typed = readGroupCapacity();
+        container.innerHTML = '';
+        if (!column || column.values.length === 0) {
+            block.classList.add('hidden');
+            return;
+        }
+        column.values.forEach(({ value }) => {
+            const label = document.createElement('label');
+            label.textContent = value;
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = '1';
+            input.placeholder = 'umumiy';
+            input.dataset.group = value;
+            if (typed[value]) input.value = typed[value];
+            label.appendChild(input);
+            container.appendChild(label);
+        });
+        block.classList.remove('hidden');
+    }
+
+    function readGroupCapacity() {
+        const result = {};
+        document.querySelectorAll('#groupCapacity input').forEach(input => {
+            const val = parseInt(input.value);
+            if (val > 0) result[input.dataset.group] = val;
+        });
+        return result;
+    }
+
+    document.getElementById('groupColumn').addEventListener('change', renderGroupCapacity);
+
+    // --- Range Filters ---
+    // The server applies the rules (src/filters.js): to the plan and to the "Mavjud" counts
+
+    function toNumber(val) {
+        const str = String(val === null || val === undefined ? '' : val).replace(/\s/g, '').replace(',', '.');
+        if (str === '') return NaN;
+        return Number(str);
+    }
+
+    // One <datalist> of frequent values per column, used by filter value inputs
+    function renderFilterValueLists() {
+        document.querySelectorAll('datalist.filter-values').forEach(list => list.remove());
+        currentColumnValues.forEach(col => {
+            const list = document.createElement('datalist');
+            list.className = 'filter-values';
+            list.id = `filter-values-${col.index}`;
+            col.values.forEach(v => list.appendChild(new Option(`${v.value} (${v.count})`, v.value)));
+            document.body.appendChild(list);
+        });
+    }
+
+    function refreshFilterColumns(filterRow) {
+        const select = filterRow.querySelector('.filter-column');
+        const current = select.value;
+        select.innerHTML = '';
+        select.appendChild(new Option('— ustun —', ''));
+        currentColumnValues.forEach(col => {
+            select.appendChild(new Option(`${col.index}. ${col.header || '(bo\'sh)'}`, col.index));
+        });
+        if (currentColumnValues.some(col => String(col.index) === current)) select.value = current;
+        filterRow.querySelector('.filter-value').setAttribute('list', `filter-values-${select.value}`);
+    }
+
+    function addFilterRow(rangeItem, filterList) {
+        const filterRow = document.createElement('div');
+        filterRow.className = 'filter-row';
+
+        const columnSelect = document.createElement('select');
+        columnSelect.className = 'filter-column';
+        const opSelect = document.createElement('select');
+        opSelect.className = 'filter-op';
+        Object.keys(FILTER_OP_LABELS).forEach(op => opSelect.appendChild(new Option(FILTER_OP_LABELS[op], op)));
+        const valueInput = document.createElement('input');
+        valueInput.type = 'text';
+        valueInput.className = 'filter-value';
+        valueInput.placeholder = 'Qiymat';
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'btn-icon';
+        removeBtn.innerHTML = '<i class="fa-solid fa-xmark"></i>';
+
+        filterRow.append(columnSelect, opSelect, valueInput, removeBtn);
+        filterList.appendChild(filterRow);
+        refreshFilterColumns(filterRow);
+
+        const update = () => updateRangeValidation(rangeItem);
+        columnSelect.addEventListener('change', () => {
+            valueInput.setAttribute('list', `filter-values-${columnSelect.value}`);
+            update();
+        });
+        opSelect.addEventListener('change', () => {
+            valueInput.classList.toggle('hidden', VALUELESS_FILTER_OPS.includes(opSelect.value));
+            update();
+        });
+        valueInput.addEventListener('input', update);
+        removeBtn.addEventListener('click', () => {
+            filterRow.remove();
+            update();
+        });
+    }
+
+    // Filter rules of a filter list; incomplete rows are left out (or reported when strict)
+    function readFilters(filterList, strict = false) {
+        const filters = [];
+        for (const filterRow of filterList.querySelectorAll('.filter-row')) {
+            const column = parseInt(filterRow.querySelector('.filter-column').value);
+            const op = filterRow.querySelector('.filter-op').value;
+            const value = filterRow.querySelector('.filter-value').value.trim();
+            const needsValue = !VALUELESS_FILTER_OPS.includes(op);
+            const numeric = ['gt', 'gte', 'lt', 'lte'].includes(op);
+            const emptyList = op === 'in' && !value.split(',').some(v => v.trim() !== '');
+
+            if (!column || (needsValue && value === '') || (numeric && isNaN(toNumber(value))) || emptyList) {
+                if (strict) return null;
+                continue;
+            }
+            filters.push(needsValue ? { column, op, value } : { column, op });
+        }
+        return filters;
+    }
+
+    // Counts for filter rules not asked yet: one /api/analyze call after the typing stops
+    function requestFilterCounts() {
+        clearTimeout(filterCountsTimer);
+        filterCountsTimer = setTimeout(async () => {
+            const id = analysisId;
+            const keys = rangeFilterKeys().filter(key => !filterCounts.has(key));
+            if (!selectedFile || keys.length === 0) return;
+            try {
+                const response = await fetch('/api/analyze', {
+                    method: 'POST',
+                    body: analysisForm(keys.map(key => JSON.parse(key)))
+                });
+                const result = await response.json();
+                if (id !== analysisId) return;
+                if (!response.ok) {
+                    console.error('Filter counts failed', result.error);
+                    return;
+                }
+                storeFilterCounts(keys, result.filterCounts);
+                document.querySelectorAll('.range-item').forEach(updateRangeValidation);
+            } catch (e) {
+                console.error('Filter counts failed', e);
+            }
+        }, 500);
+    }
+
+    // Counts leave out the duplicate copies the chosen policy removes
+    document.getElementById('duplicatePolicy').addEventListener('change', () => {
+        if (selectedFile) analyzeFile();
+    });
+
+    // Ages are counted on the first day of the plan period (target year and start month)
+    document.getElementById('targetYear').addEventListener('change', () => {
+        if (selectedFile) analyzeFile();
+        loadCalendar();
+    });
+
+    // --- Holiday Calendar ---
+
+    const calendarFields = () => ['holidays', 'workingDays'].map(id => document.getElementById(id));
+
+    // Edited by hand: not empty and not the text of the last fill
+    function calendarEdited() {
+        return calendarFields().some(field => field.value.trim() !== '' && field.value !== field.dataset.filled);
+    }
+
+    // Holidays and transferred working days of the plan period's years (built-in calendar).
+    // The lists are sent as typed, so the server uses them instead of its own calendar (see processExcel).
+    // A year / start month change refills only lists the user has not edited; the button always refills.
+    async function loadCalendar(force = false) {
+        const targetYear = parseInt(document.getElementById('targetYear').value) || new Date().getFullYear();
+        const startMonth = parseInt(document.getElementById('startMonth').value) || 1;
+        const years = startMonth > 1 ? [targetYear, targetYear + 1] : [targetYear];
+        const info = document.getElementById('calendar-info');
+
+        try {
+            const calendars = await Promise.all(years.map(async year => {
+                const response = await fetch(`/api/calendar/${year}`);
+                const result = await response.json();
+                if (!response.ok) throw new Error(result.error);
+                return result;
+            }));
+
+            if (!force && calendarEdited()) {
+                info.textContent = `Bayram kunlari qo'lda o'zgartirilgan: ${years.join('-')}-yil taqvimi qo'yilmadi. Kerak bo'lsa "Taqvimni yuklash" tugmasini bosing.`;
+                info.className = 'column-reason stat-warning';
+                return;
+            }
+            const [holidaysField, workingDaysField] = calendarFields();
+            holidaysField.value = calendars.flatMap(c => c.holidays.map(h => h.date)).join(', ');
+            workingDaysField.value = calendars.flatMap(c => c.workingDays.map(d => d.date)).join(', ');
+            calendarFields().forEach(field => field.dataset.filled = field.value);
+
+            const missing = calendars.filter(c => !c.known).map(c => c.year);
+            if (missing.length > 0) {
+                info.textContent = `${missing.join(', ')}-yil taqvimi yo'q: faqat doimiy bayramlar qo'yildi, hayit va ko'chirilgan kunlarni qo'lda kiriting.`;
+                info.className = 'column-reason stat-warning';
+            } else {
+                const holidayCount = calendars.reduce((sum, c) => sum + c.holidays.length, 0);
+                const workingCount = calendars.reduce((sum, c) => sum + c.workingDays.length, 0);
+                info.textContent = `Taqvim: ${holidayCount} ta bayram / dam olish kuni, ${workingCount} ta ko'chirilgan ish kuni.`;
+                info.className = 'column-reason stat-ok';
+            }
+        } catch (e) {
+            console.error('Calendar failed', e);
+            info.textContent = "Taqvimni yuklab bo'lmadi: bayram kunlarini qo'lda kiriting.";
+            info.className = 'column-reason stat-error';
+        }
+    }
+
+    document.getElementById('startMonth').addEventListener('change', () => {
+        if (selectedFile) analyzeFile();
+        loadCalendar();
+    });
+    document.getElementById('loadCalendarBtn').addEventListener('click', () => {
+        if (calendarEdited() && !confirm("Qo'lda kiritilgan bayram va ish kunlari taqvim bilan almashtirilsinmi?")) return;
+        loadCalendar(true);
+    });
+    loadCalendar();
+
     // --- Range Management & Validation ---
 
+    // Read range selection fields from a range card
+    function readRange(rangeItem) {
+        const maxAgeVal = rangeItem.querySelector('.max-age').value;
+        return {
+            type: rangeItem.querySelector('.range-type').value,
+            startYear: parseInt(rangeItem.querySelector('.start-year').value) || 0,
+            endYear: parseInt(rangeItem.querySelector('.end-year').value) || 0,
+            minAge: parseInt(rangeItem.querySelector('.min-age').value) || 0,
+            maxAge: maxAgeVal === '' ? null : parseInt(maxAgeVal),
+            ageUnit: rangeItem.querySelector('.age-unit').value,
+            ageAt: rangeItem.querySelector('.age-at').value,
+            gender: rangeItem.querySelector('.gender-select').value,
+            filters: readFilters(rangeItem.querySelector('.range-filters .filter-list'))
+        };
+    }
+
+    function pickGender(counts, gender) {
+        if (typeof counts === 'number') return counts; // Old structure
+        if (gender === 'male') return counts.male || 0;
+        if (gender === 'female') return counts.female || 0;
+        return counts.total || 0;
+    }
+
+    // Patients a range can select (estimate for age-on-visit ranges); null while the filter counts load
+    function countAvailable(range) {
+        const counts = range.filters.length > 0
+            ? filterCounts.get(JSON.stringify(range.filters))
+            : { yearCounts: currentYearCounts, ageCounts: currentAgeCounts };
+        if (!counts) {
+            if (selectedFile) requestFilterCounts();
+            return null;
+        }
+        const { yearCounts, ageCounts } = counts;
+        let available = 0;
+        if (range.type === 'age') {
+            const bucket = range.ageUnit === 'months' ? ageCounts.months : ageCounts.years;
+            const max = range.maxAge === null ? Infinity : range.maxAge;
+            // On visit date: also those who reach the minimum age during the year
+            const lowest = range.ageAt === 'yearStart' ? range.minAge : range.minAge - (range.ageUnit === 'months' ? 12 : 1);
+            Object.keys(bucket).forEach(age => {
+                if (age >= lowest && age <= max) available += pickGender(bucket[age], range.gender);
+            });
+            return available;
+        }
+        for (let y = range.startYear; y <= range.endYear; y++) {
+            const counts = yearCounts[y];
+            if (counts) available += pickGender(counts, range.gender);
+        }
+        return available;
+    }
+
+    // Approximate birth years a range selects: [from, to] or null if not filled in
+    function birthYearSpan(range) {
+        if (range.type !== 'age') {
+            return range.startYear && range.endYear ? [range.startYear, range.endYear] : null;
+        }
+        const targetYear = parseInt(document.getElementById('targetYear').value) || new Date().getFullYear();
+        const crossesYear = (parseInt(document.getElementById('startMonth').value) || 1) > 1;
+        const k = range.ageUnit === 'months' ? 12 : 1;
+        // Born by the plan start (yearStart) or by the plan end (on visit); a July plan ends next year
+        const lastYear = range.ageAt === 'yearStart'
+            ? (crossesYear ? targetYear : targetYear - 1)
+            : (crossesYear ? targetYear + 1 : targetYear);
+        const from = range.maxAge === null ? 1900 : targetYear - Math.ceil((range.maxAge + 1) / k);
+        return [from, lastYear - Math.floor(range.minAge / k)];
+    }
+
+    // Age-on-visit ranges with disjoint ages split a patient's year instead of competing
+    function splitByAge(a, b) {
+        if (a.type !== 'age' || b.type !== 'age' || a.ageAt === 'yearStart' || b.ageAt === 'yearStart') return false;
+        const bounds = r => {
+            const k = r.ageUnit === 'months' ? 1 : 12;
+            return [r.minAge * k, r.maxAge === null ? Infinity : (r.maxAge + 1) * k - 1];
+        };
+        const [aMin, aMax] = bounds(a);
+        const [bMin, bMax] = bounds(b);
+        return aMax < bMin || bMax < aMin;
+    }
+
+    // Ranges sharing birth years (and compatible gender) select the same patients
+    function updateOverlapWarnings() {
+        const items = [...rangesContainer.querySelectorAll('.range-item')];
+        const data = items.map(readRange);
+
+        items.forEach((item, i) => {
+            const hits = [];
+            data.forEach((other, j) => {
+                const cur = data[i];
+                const curSpan = birthYearSpan(cur);
+                const otherSpan = birthYearSpan(other);
+                if (i === j || !curSpan || !otherSpan || splitByAge(cur, other)) return;
+                const from = Math.max(curSpan[0], otherSpan[0]);
+                const to = Math.min(curSpan[1], otherSpan[1]);
+                if (from > to) return;
+                if (cur.gender !== 'all' && other.gender !== 'all' && cur.gender !== other.gender) return;
+                hits.push(`#${j + 1} (${from === to ? from : from + '-' + to})`);
+            });
+
+            let overlapDiv = item.querySelector('.range-overlap');
+            if (!overlapDiv) {
+                overlapDiv = document.createElement('div');
+                overlapDiv.className = 'range-stats stat-warning range-overlap';
+                item.querySelector('.range-header').after(overlapDiv);
+            }
+            overlapDiv.textContent = hits.length > 0 ? `Boshqa oraliqlar bilan kesishadi: ${hits.join(', ')}` : '';
+            overlapDiv.classList.toggle('hidden', hits.length === 0);
+        });
+    }
+
     function updateRangeValidation(rangeItem) {
-        const startInput = rangeItem.querySelector('.start-year');
-        const endInput = rangeItem.querySelector('.end-year');
+        updateOverlapWarnings();
+
         const monthInputs = rangeItem.querySelectorAll('.month-input input');
 
-        let statsDiv = rangeItem.querySelector('.range-stats');
+        let statsDiv = rangeItem.querySelector('.range-stats:not(.range-overlap)');
         if (!statsDiv) {
             statsDiv = document.createElement('div');
             statsDiv.className = 'range-stats';
@@ -103,24 +658,15 @@ document.addEventListener('DOMContentLoaded', () => {
             rangeItem.insertBefore(statsDiv, rangeItem.children[1]);
         }
 
-        const startYear = parseInt(startInput.value) || 0;
-        const endYear = parseInt(endInput.value) || 0;
-        const gender = rangeItem.querySelector('.gender-select').value;
+        const range = readRange(rangeItem);
+        const isAgeRange = range.type === 'age';
 
         // Calculate Available
-        let available = 0;
-        for (let y = startYear; y <= endYear; y++) {
-            const counts = currentYearCounts[y];
-            if (counts) {
-                // Check if old structure (number) or new structure (object)
-                if (typeof counts === 'number') {
-                    available += counts;
-                } else {
-                    if (gender === 'male') available += (counts.male || 0);
-                    else if (gender === 'female') available += (counts.female || 0);
-                    else available += (counts.total || 0);
-                }
-            }
+        const available = countAvailable(range);
+        if (available === null) {
+            statsDiv.textContent = selectedFile ? 'Mavjud: hisoblanmoqda...' : 'Mavjud: fayl tanlanmagan';
+            statsDiv.className = 'range-stats';
+            return;
         }
 
         // Calculate Planned
@@ -137,17 +683,21 @@ document.addEventListener('DOMContentLoaded', () => {
 
 
         const visitCount = parseInt(rangeItem.querySelector('.visit-count').value) || 1;
-        // Skip validation if visitCount > 1 (Auto Plan)
-        if (visitCount > 1) {
+        const schedule = rangeItem.querySelector('.schedule-type').value;
+        // Skip validation if visitCount > 1, age offsets or chosen months (Auto Plan)
+        if (visitCount > 1 || schedule !== 'count') {
             statsDiv.textContent = `Mavjud: ${available} | Reja: HAMMASI (${available})`;
             statsDiv.className = 'range-stats stat-ok';
             return;
         }
 
-        if (available === 0 && startYear > 0) {
+        if (available === 0 && isAgeRange) {
+            statusText = `Mavjud: 0 (Bunday yoshdagi aholi topilmadi)`;
+            statusClass = 'stat-error';
+        } else if (available === 0 && range.startYear > 0) {
             statusText = `Mavjud: 0 (Bunday yilda tug'ilgan aholi topilmadi)`;
             statusClass = 'stat-error';
-        } else if (startYear === 0 && endYear === 0) {
+        } else if (!isAgeRange && range.startYear === 0 && range.endYear === 0) {
             statusText = 'Yil oralig\'ini kiriting';
             statusClass = '';
         } else {
@@ -178,22 +728,46 @@ document.addEventListener('DOMContentLoaded', () => {
             rangesContainer.querySelectorAll('.range-item').forEach((item, idx) => {
                 item.querySelector('.range-index').textContent = idx + 1;
             });
+            updateOverlapWarnings();
         });
 
 
         // Listen for Visit Count Changes
-        const visitCountSelect = rangeItem.querySelector('.visit-count');
+        const visitCountInput = rangeItem.querySelector('.visit-count');
         const monthInputsContainer = rangeItem.querySelector('.months-grid');
         const birthdayOption = rangeItem.querySelector('.birthday-option');
-        const startInput = rangeItem.querySelector('.start-year');
-        const endInput = rangeItem.querySelector('.end-year');
+        const useBirthdayCheckbox = rangeItem.querySelector('.use-birthday');
+        const cycleStartSelect = rangeItem.querySelector('.cycle-start');
         const genderSelect = rangeItem.querySelector('.gender-select');
+        const rangeTypeSelect = rangeItem.querySelector('.range-type');
+        const scheduleSelect = rangeItem.querySelector('.schedule-type');
+        const offsetsInput = rangeItem.querySelector('.offsets-input');
+        const visitCountLabel = rangeItem.querySelector('.visit-count-label');
+        const visitMonthsInput = rangeItem.querySelector('.visit-months-input');
+        const distributeBtn = rangeItem.querySelector('.distribute-btn');
+        const yearInputs = rangeItem.querySelector('.year-inputs:not(.age-inputs)');
+        const ageInputs = rangeItem.querySelector('.age-inputs');
 
         const updateUIState = () => {
-            const count = parseInt(visitCountSelect.value);
+            const count = parseInt(visitCountInput.value);
+            const byAgeOffsets = scheduleSelect.value === 'ageOffsets';
+            const byMonths = scheduleSelect.value === 'months';
+
+            // Age offsets: visits come from birth date, counts and birthday mode don't apply.
+            // Chosen months: the ticked months are the visits, monthly counts don't apply.
+            offsetsInput.classList.toggle('hidden', !byAgeOffsets);
+            visitMonthsInput.classList.toggle('hidden', !byMonths);
+            visitCountInput.classList.toggle('hidden', byAgeOffsets || byMonths);
+            visitCountLabel.classList.toggle('hidden', byAgeOffsets || byMonths);
+            monthInputsContainer.classList.toggle('hidden', byAgeOffsets || byMonths);
+            distributeBtn.classList.toggle('hidden', byAgeOffsets || byMonths);
 
             // Birthday Option Visibility
-            if (count > 1) {
+            if (byAgeOffsets) {
+                birthdayOption.classList.add('hidden');
+            } else if (byMonths) {
+                birthdayOption.classList.remove('hidden');
+            } else if (count > 1) {
                 birthdayOption.classList.remove('hidden');
                 monthInputsContainer.style.opacity = '0.5';
                 monthInputsContainer.style.pointerEvents = 'none';
@@ -206,32 +780,41 @@ document.addEventListener('DOMContentLoaded', () => {
                 monthInputsContainer.style.opacity = '1';
                 monthInputsContainer.style.pointerEvents = 'auto';
             }
+            // Birth-month cycle: only for birthday mode, chosen months are fixed anyway
+            cycleStartSelect.classList.toggle('hidden', !useBirthdayCheckbox.checked || byMonths);
             updateRangeValidation(rangeItem);
         };
 
-        visitCountSelect.addEventListener('change', updateUIState);
+        visitCountInput.addEventListener('input', updateUIState);
+        useBirthdayCheckbox.addEventListener('change', updateUIState);
+        scheduleSelect.addEventListener('change', updateUIState);
+
+        // Random order: show the seed input
+        const orderSelect = rangeItem.querySelector('.patient-order');
+        orderSelect.addEventListener('change', () => {
+            rangeItem.querySelector('.order-seed').classList.toggle('hidden', orderSelect.value !== 'random');
+        });
         genderSelect.addEventListener('change', () => updateRangeValidation(rangeItem));
+        // Range filters and risk-group (priority) rules share the filter editor
+        rangeItem.querySelectorAll('.add-filter').forEach(btn => {
+            btn.addEventListener('click', () => addFilterRow(rangeItem, btn.parentElement.querySelector('.filter-list')));
+        });
+
+        // Birth-year or age range
+        rangeTypeSelect.addEventListener('change', () => {
+            const isAge = rangeTypeSelect.value === 'age';
+            yearInputs.classList.toggle('hidden', isAge);
+            ageInputs.classList.toggle('hidden', !isAge);
+            updateRangeValidation(rangeItem);
+        });
+        ageInputs.querySelectorAll('select').forEach(select => {
+            select.addEventListener('change', () => updateRangeValidation(rangeItem));
+        });
 
         // Auto Distribute Logic
-        const distributeBtn = rangeItem.querySelector('.distribute-btn');
         distributeBtn.addEventListener('click', () => {
-            // 1. Get Available Count (Logic duplicated from updateRangeValidation, should prob extract but for now inline is safe)
-            const sYear = parseInt(startInput.value) || 0;
-            const eYear = parseInt(endInput.value) || 0;
-            const g = genderSelect.value;
-            let totalAvailable = 0;
-
-            for (let y = sYear; y <= eYear; y++) {
-                const counts = currentYearCounts[y];
-                if (counts) {
-                    if (typeof counts === 'number') totalAvailable += counts;
-                    else {
-                        if (g === 'male') totalAvailable += (counts.male || 0);
-                        else if (g === 'female') totalAvailable += (counts.female || 0);
-                        else totalAvailable += (counts.total || 0);
-                    }
-                }
-            }
+            // 1. Get Available Count
+            const totalAvailable = countAvailable(readRange(rangeItem));
 
             if (totalAvailable <= 0) {
                 alert("Taqsimlash uchun aholi mavjud emas (Mavjud: 0)");
@@ -292,17 +875,79 @@ document.addEventListener('DOMContentLoaded', () => {
         let hasError = false;
 
         for (const item of rangeItems) {
+            const type = item.querySelector('.range-type').value;
             const startYear = parseInt(item.querySelector('.start-year').value);
             const endYear = parseInt(item.querySelector('.end-year').value);
             const visitCount = parseInt(item.querySelector('.visit-count').value) || 1;
             const gender = item.querySelector('.gender-select').value;
             const useBirthday = item.querySelector('.use-birthday').checked;
+            const cycleStart = item.querySelector('.cycle-start').value;
 
-            if (isNaN(startYear) || isNaN(endYear)) {
+            if (type === 'year' && (isNaN(startYear) || isNaN(endYear))) {
                 alert('Iltimos, barcha oraliqlar uchun boshlanish va tugash yillarini to\'g\'ri kiriting.');
                 return;
             }
 
+            const schedule = item.querySelector('.schedule-type').value;
+            const scheduleFields = {};
+            if (schedule === 'ageOffsets') {
+                const ageOffsets = item.querySelector('.age-offsets').value.split(',').map(s => s.trim()).filter(s => s);
+                if (ageOffsets.length === 0) {
+                    alert('Iltimos, tashrif yoshlarini kiriting (masalan: 3 kun, 1 oy, 2 oy).');
+                    return;
+                }
+                Object.assign(scheduleFields, { schedule, ageOffsets });
+            } else if (schedule === 'months') {
+                const visitMonths = [...item.querySelectorAll('.visit-months input:checked')].map(cb => parseInt(cb.value));
+                if (visitMonths.length === 0) {
+                    alert('Iltimos, kamida bitta tashrif oyini belgilang.');
+                    return;
+                }
+                Object.assign(scheduleFields, { schedule, visitMonths });
+            } else if (visitCount < 1 || visitCount > 24) {
+                alert('Tashriflar soni 1 dan 24 gacha bo\'lishi kerak.');
+                return;
+            }
+
+            const order = item.querySelector('.patient-order').value;
+            const orderFields = { order };
+            if (order === 'random' && item.querySelector('.seed').value !== '') {
+                orderFields.seed = parseInt(item.querySelector('.seed').value);
+            }
+
+            // Days between a patient's visits (empty - no limit)
+            const gapFields = {};
+            const minGap = parseInt(item.querySelector('.min-gap').value);
+            const maxGap = parseInt(item.querySelector('.max-gap').value);
+            if (minGap > 0) gapFields.minGap = minGap;
+            if (maxGap > 0) gapFields.maxGap = maxGap;
+            if (gapFields.minGap && gapFields.maxGap && gapFields.minGap > gapFields.maxGap) {
+                alert("Tashriflar orasi: kamida qiymati ko'pi bilan qiymatidan katta bo'lmasligi kerak.");
+                return;
+            }
+
+            // Column filters ("Dispanser guruhi" = D ...)
+            const filters = readFilters(item.querySelector('.range-filters .filter-list'), true);
+            const priority = readFilters(item.querySelector('.priority-filters .filter-list'), true);
+            if (filters === null || priority === null) {
+                alert("Iltimos, filtrlarning ustuni va qiymatini to'liq kiriting (taqqoslash uchun son).");
+                return;
+            }
+            const filterFields = filters.length > 0 ? { filters } : {};
+            if (priority.length > 0) {
+                Object.assign(filterFields, { priority, priorityMatch: item.querySelector('.priority-match').value });
+            }
+
+            const ageFields = {};
+            if (type === 'age') {
+                const { minAge, maxAge, ageUnit, ageAt } = readRange(item);
+                if (maxAge !== null && (isNaN(maxAge) || maxAge < minAge)) {
+                    alert('Iltimos, yosh oralig\'ini to\'g\'ri kiriting.');
+                    return;
+                }
+                Object.assign(ageFields, { minAge, maxAge, ageUnit, ageAt });
+            }
+
             const counts = [];
             for (let i = 0; i < 12; i++) {
                 const val = parseInt(item.querySelector(`.m-${i}`).value) || 0;
@@ -310,11 +955,18 @@ document.addEventListener('DOMContentLoaded', () => {
             }
 
             ranges.push({
+                type,
                 startYear,
                 endYear,
+                ...ageFields,
+                ...scheduleFields,
+                ...orderFields,
+                ...gapFields,
+                ...filterFields,
                 visitCount,
                 gender,
                 useBirthday,
+                cycleStart,
                 counts
             });
         }
@@ -326,15 +978,71 @@ document.addEventListener('DOMContentLoaded', () => {
 
         const targetYear = parseInt(document.getElementById('targetYear').value) || 2026;
         const saturdayWorking = document.getElementById('saturdayWorking').checked;
+        const startMonth = parseInt(document.getElementById('startMonth').value) || 1;
+        const noWrap = document.getElementById('noWrap').checked;
         const holidaysText = document.getElementById('holidays').value;
         const holidays = holidaysText.split(',').map(s => s.trim()).filter(s => s);
+        const workingDays = document.getElementById('workingDays').value.split(',').map(s => s.trim()).filter(s => s);
+        const duplicates = document.getElementById('duplicatePolicy').value;
+        const overlapPolicy = document.getElementById('overlapPolicy').value;
+        const pdfDayLists = document.getElementById('pdfDayLists').checked;
+        const clinicName = document.getElementById('clinicName').value.trim();
+        const groupColumn = parseInt(document.getElementById('groupColumn').value) || null;
+        const dailyCapacity = parseInt(document.getElementById('dailyCapacity').value) || null;
+        const groupCapacity = groupColumn ? readGroupCapacity() : {};
+        // Indexed like Date.getDay(): 0 - Yakshanba
+        const weekdayCapacity = Array(7).fill(null);
+        // Empty - general capacity, 0 - closed that weekday
+        document.querySelectorAll('#weekdayCapacity input').forEach(input => {
+            const val = parseInt(input.value);
+            weekdayCapacity[parseInt(input.dataset.day)] = isNaN(val) ? null : val;
+        });
+
+        // Sanitary day ("last Friday of each month") and closure periods ("from - to" or a single day)
+        const sanitaryWeek = document.getElementById('sanitaryWeek').value;
+        const closedRules = sanitaryWeek
+            ? [{ weekday: parseInt(document.getElementById('sanitaryWeekday').value), week: sanitaryWeek === 'last' ? 'last' : parseInt(sanitaryWeek) }]
+            : [];
+        const closures = [...document.getElementById('closures').value.matchAll(/(\d{4}-\d{2}-\d{2})(?:\s*(?:-|—|\.\.)\s*(\d{4}-\d{2}-\d{2}))?/g)]
+            .map(m => ({ from: m[1], to: m[2] || m[1] }));
+
+        // Appointment time slots (only when a slot length is given)
+        const slotMinutes = parseInt(document.getElementById('slotMinutes').value) || null;
+        let timeSlots = null;
+        if (slotMinutes) {
+            const breaks = document.getElementById('breaks').value.split(',').map(s => s.trim()).filter(s => s).map(s => {
+                const [start, end] = s.split('-').map(t => t.trim());
+                return { start, end };
+            });
+            timeSlots = {
+                start: document.getElementById('workStart').value,
+                end: document.getElementById('workEnd').value,
+                slotMinutes,
+                breaks
+            };
+        }
 
         const config = {
             ranges,
             targetYear,
+            startMonth,
+            noWrap,
             saturdayWorking,
-            holidays
+            holidays,
+            workingDays,
+            duplicates,
+            overlapPolicy,
+            pdfDayLists,
+            clinicName,
+            groupColumn,
+            dailyCapacity,
+            groupCapacity,
+            weekdayCapacity,
+            closedRules,
+            closures,
+            timeSlots
         };
+        if (Object.keys(columnOverrides).length > 0) config.columns = columnOverrides;
 
         // UI State
         generateBtn.disabled = true;
@@ -345,6 +1053,11 @@ document.addEventListener('DOMContentLoaded', () => {
         const formData = new FormData();
         formData.append('file', selectedFile);
         formData.append('config', JSON.stringify(config));
+        // Last year's plan keeps the interval since each patient's last visit
+        const previousPlan = document.getElementById('previousPlan').files[0];
+        if (previousPlan) formData.append('previousPlan', previousPlan);
+        const outputTemplate = document.getElementById('outputTemplate').files[0];
+        if (outputTemplate) formData.append('template', outputTemplate);
 
         try {
             const response = await fetch('/api/process', {
@@ -377,10 +1090,40 @@ document.addEventListener('DOMContentLoaded', () => {
                 alert("Natija tayyor, lekin yuklab olish tugmasi topilmadi. Sahifani yangilang.");
             }
 
+            // Keep the seeds used for random order, so the same plan can be made again
+            if (data.seeds) {
+                document.querySelectorAll('.range-item').forEach((item, idx) => {
+                    if (data.seeds[idx] !== null && data.seeds[idx] !== undefined) {
+                        item.querySelector('.seed').value = data.seeds[idx];
+                    }
+                });
+            }
+
+            // Short statistics (the full tables are on the "Statistika" sheet)
+            let statsDiv = document.getElementById('stats-area');
+            if (!statsDiv) {
+                statsDiv = document.createElement('div');
+                statsDiv.id = 'stats-area';
+                resultArea.appendChild(statsDiv);
+            }
+            if (data.statistics) {
+                const s = data.statistics;
+                const peak = s.perDay.peakDate ? s.perDay.peakDate.split('-').reverse().join('.') : '-';
+                let statsHtml = `<p>Jami tashriflar: <b>${s.totalVisits}</b>, ish kunlari: ${s.perDay.workingDays}. `
+                    + `Kuniga: eng kam ${s.perDay.min}, o'rtacha ${s.perDay.avg}, eng ko'p ${s.perDay.max} (${peak}).</p><ul>`;
+                s.ranges.forEach(r => statsHtml += `<li>${escapeHtml(r.range)}: rejada ${r.planned} / mavjud ${r.available}</li>`);
+                statsHtml += '</ul>';
+                statsDiv.innerHTML = statsHtml;
+                statsDiv.style.display = 'block';
+            } else {
+                statsDiv.style.display = 'none';
+            }
+
             // Show warnings if any
             if (data.warnings && data.warnings.length > 0) {
                 let warnHtml = '<h4>Ogohlantirishlar:</h4><ul>';
-                data.warnings.forEach(w => warnHtml += `<li>${w}</li>`);
+                // Warnings quote register cells (names, group values): shown as text
+                data.warnings.forEach(w => warnHtml += `<li>${escapeHtml(w)}</li>`);
                 warnHtml += '</ul>';
 
                 // Create or reuse warning container
@@ -0,0 +1,77 @@
+// Uzbekistan holiday calendar.
+// Fixed public holidays are the same every year; movable ones (Ramazon / Qurbon hayit),
+// extra days off and transferred working days (a Saturday worked to bridge a holiday)
+// come from calendars/<year>.json, entered once the yearly decree is published.
+
+const fs = require('fs');
+const path = require('path');
+
+const CALENDAR_DIR = path.join(__dirname, 'calendars');
+
+// { month: 1-12, day, name }
+const FIXED_HOLIDAYS = [
+    { month: 1, day: 1, name: 'Yangi yil' },
+    { month: 3, day: 8, name: 'Xotin-qizlar kuni' },
+    { month: 3, day: 21, name: "Navro'z bayrami" },
+    { month: 5, day: 9, name: 'Xotira va qadrlash kuni' },
+    { month: 9, day: 1, name: 'Mustaqillik kuni' },
+    { month: 10, day: 1, name: "O'qituvchi va murabbiylar kuni" },
+    { month: 12, day: 8, name: 'Konstitutsiya kuni' }
+];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
+
+/**
+ * Read calendars/<year>.json. Returns null if the year has no calendar file.
+ */
+function readYearFile(year) {
+    const file = path.join(CALENDAR_DIR, `${year}.json`);
+    if (!fs.existsSync(file)) return null;
+
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    ['movable', 'extraHolidays', 'workingDays'].forEach(key => {
+        (data[key] || []).forEach(d => {
+            if (!DATE_PATTERN.test(d.date) || !d.date.startsWith(`${year}-`)) {
+                throw new Error(`Xato: ${year}-yil taqvimida sana noto'g'ri: ${d.date}`);
+            }
+        });
+    });
+    return data;
+}
+
+/**
+ * Calendar of a year.
+ * @param {number|string} value - Year
+ * @returns {{ year, known, holidays: Array<{date, name, type}>, workingDays: Array<{date, name}> }}
+ *   known - false when only fixed holidays are available (no yearly file): hayit days are missing
+ */
+function getCalendar(value) {
+    const year = parseInt(value);
+    if (!(year >= 1900 && year <= 2100)) {
+        throw new Error(`Xato: Yil noto'g'ri: ${value}`);
+    }
+
+    const data = readYearFile(year);
+    const holidays = FIXED_HOLIDAYS.map(h => ({ date: `${year}-${pad(h.month)}-${pad(h.day)}`, name: h.name, type: 'fixed' }));
+    if (data) {
+        (data.movable || []).forEach(d => holidays.push({ date: d.date, name: d.name, type: 'movable' }));
+        (data.extraHolidays || []).forEach(d => holidays.push({ date: d.date, name: d.name, type: 'extra' }));
+    }
+    holidays.sort((a, b) => a.date.localeCompare(b.date));
+
+    return {
+        year,
+        known: Boolean(data),
+        holidays,
+        workingDays: data ? (data.workingDays || []).map(d => ({ date: d.date, name: d.name })) : []
+    };
+}
+
+module.exports = {
+    FIXED_HOLIDAYS,
+    getCalendar
+};
@@ -0,0 +1,116 @@
+// Column filters for ranges: "only D-group", "only mahalla X", "Nogironlik is set".
+// A range keeps a patient only if every rule matches; the same rules mark high-priority
+// patients. Rules point at a column by its 1-based index (like config.groupColumn),
+// so they work with any register layout.
+// The live "Mavjud" count in the UI comes from /api/analyze, which uses matchesFilters() too.
+
+const { normalizeText } = require('./gender');
+
+// op -> needs a value
+const FILTER_OPS = {
+    equals: true,     // Same text (case and apostrophes ignored)
+    notEquals: true,
+    contains: true,   // Text contains the value
+    in: true,         // One of the listed values (array or "a, b, c")
+    empty: false,
+    notEmpty: false,
+    gt: true,         // Numeric comparisons; non-numeric cells never match
+    gte: true,
+    lt: true,
+    lte: true
+};
+
+/**
+ * Cell text as filters see it (and as /api/analyze shows it): dates as DD.MM.YYYY
+ */
+function filterText(val) {
+    if (val === null || val === undefined) return '';
+    if (val instanceof Date) {
+        const pad = n => String(n).padStart(2, '0');
+        return `${pad(val.getDate())}.${pad(val.getMonth() + 1)}.${val.getFullYear()}`;
+    }
+    return String(val).trim();
+}
+
+function toNumber(val) {
+    const str = String(val === null || val === undefined ? '' : val).replace(/\s/g, '').replace(',', '.');
+    if (str === '') return NaN;
+    return Number(str);
+}
+
+function listValues(value) {
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    return list.map(normalizeText).filter(v => v !== '');
+}
+
+/**
+ * Check filter rules of a range. Throws on unknown operation, column or missing value.
+ * @param {Array} filters - [{ column: 3, op: 'equals', value: 'D' }]
+ * @param {number} columnCount - Columns in the register
+ * @param {string} title - Range title for messages
+ */
+function validateFilters(filters, columnCount, title) {
+    if (filters === undefined || filters === null) return;
+    if (!Array.isArray(filters)) throw new Error(`Xato: ${title}: filtrlar ro'yxat bo'lishi kerak.`);
+
+    filters.forEach((f, i) => {
+        const col = parseInt(f && f.column);
+        if (!(col >= 1 && col <= columnCount)) {
+            throw new Error(`Xato: ${title}: ${i + 1}-filtr ustuni noto'g'ri: ${f && f.column}`);
+        }
+        if (!Object.prototype.hasOwnProperty.call(FILTER_OPS, f.op)) {
+            throw new Error(`Xato: ${title}: ${i + 1}-filtr sharti noto'g'ri: ${f.op}`);
+        }
+        if (!FILTER_OPS[f.op]) return;
+
+        if (f.value === undefined || f.value === null || String(f.value).trim() === '') {
+            throw new Error(`Xato: ${title}: ${i + 1}-filtr qiymati kiritilmagan.`);
+        }
+        if (['gt', 'gte', 'lt', 'lte'].includes(f.op) && isNaN(toNumber(f.value))) {
+            throw new Error(`Xato: ${title}: ${i + 1}-filtr qiymati son bo'lishi kerak: ${f.value}`);
+        }
+        if (f.op === 'in' && listValues(f.value).length === 0) {
+            throw new Error(`Xato: ${title}: ${i + 1}-filtr qiymati kiritilmagan.`);
+        }
+    });
+}
+
+function matchesRule(text, f) {
+    const cell = normalizeText(text);
+    switch (f.op) {
+        case 'equals': return cell === normalizeText(f.value);
+        case 'notEquals': return cell !== normalizeText(f.value);
+        case 'contains': return cell.includes(normalizeText(f.value));
+        case 'in': return listValues(f.value).includes(cell);
+        case 'empty': return cell === '';
+        case 'notEmpty': return cell !== '';
+    }
+
+    // Numeric comparison
+    const num = toNumber(text);
+    const limit = toNumber(f.value);
+    if (isNaN(num)) return false;
+    if (f.op === 'gt') return num > limit;
+    if (f.op === 'gte') return num >= limit;
+    if (f.op === 'lt') return num < limit;
+    return num <= limit;
+}
+
+/**
+ * Does a row pass the filter rules
+ * @param {Array<string>} cells - filterText() of every cell, 0-based by column
+ * @param {Array} filters - Validated rules (empty or missing - everyone passes)
+ * @param {string} match - 'all' rules (range filters) or 'any' of them (risk flags)
+ */
+function matchesFilters(cells, filters, match = 'all') {
+    if (!filters || filters.length === 0) return true;
+    const test = f => matchesRule(cells[parseInt(f.column) - 1], f);
+    return match === 'any' ? filters.some(test) : filters.every(test);
+}
+
+module.exports = {
+    FILTER_OPS,
+    filterText,
+    validateFilters,
+    matchesFilters
+};
@@ -0,0 +1,132 @@
+// Gender resolution for patient rows.
+// Sources are tried in order of reliability; every result records which one decided it.
+
+const GENDER_SOURCES = ['column', 'jshshir', 'patronymic', 'surname', 'default'];
+
+const GENDER_HEADER_WORDS = ['jinsi', 'jins', 'gender', 'sex', 'пол', 'жинси', 'жинс'];
+const JSHSHIR_HEADER_WORDS = ['jshshir', 'pinfl', 'shaxsiy', 'жшшир', 'пинфл'];
+
+// Explicit values found in "Jinsi" / "Пол" / "Gender" columns
+const FEMALE_VALUES = ['ayol', 'a', 'f', 'female', 'woman', 'ж', 'жен', 'женский', 'аёл', 'а'];
+const MALE_VALUES = ['erkak', 'e', 'm', 'male', 'man', 'м', 'муж', 'мужской', 'эркак', 'э'];
+
+// Patronymic markers (last part of "Familiya Ism Otasining ismi")
+const FEMALE_PATRONYMIC_WORDS = ['qizi', 'кизи', 'қизи'];
+const MALE_PATRONYMIC_WORDS = ["o'g'li", 'ogli', 'угли', 'ўғли', 'ўгли'];
+const FEMALE_PATRONYMIC_SUFFIXES = ['ovna', 'evna', 'ichna', 'овна', 'евна', 'ична'];
+const MALE_PATRONYMIC_SUFFIXES = ['ovich', 'evich', 'ich', 'ович', 'евич', 'ич'];
+
+// Surname endings (Latin and Cyrillic).
+const FEMALE_SURNAME_SUFFIXES = ['ova', 'eva', 'yeva', 'ina', 'aya', 'ова', 'ева', 'ёва', 'ина', 'ая'];
+const MALE_SURNAME_SUFFIXES = ['ov', 'ev', 'yev', 'in', 'iy', 'ов', 'ев', 'ёв', 'ин', 'ий', 'ый'];
+
+/**
+ * Normalize text: lower case, unify apostrophes used in Uzbek Latin (o‘, g‘, o`, g')
+ */
+function normalizeText(val) {
+    return String(val || '')
+        .toLowerCase()
+        .replace(/[‘’`ʻʼ´]/g, "'")
+        .trim();
+}
+
+function headerWords(header) {
+    return normalizeText(header).split(/[^a-zа-яёўқғҳ']+/i).filter(w => w);
+}
+
+/**
+ * Find explicit gender column ("Jinsi", "Пол", "Gender"). Returns header key or null.
+ */
+function findGenderColumn(headers) {
+    for (const h of headers) {
+        if (!h) continue;
+        if (headerWords(h).some(w => GENDER_HEADER_WORDS.includes(w))) return h;
+    }
+    return null;
+}
+
+/**
+ * Find JSHSHIR / PINFL column. Returns header key or null.
+ */
+function findJshshirColumn(headers) {
+    for (const h of headers) {
+        if (!h) continue;
+        const lower = normalizeText(h);
+        if (JSHSHIR_HEADER_WORDS.some(k => lower.includes(k))) return h;
+    }
+    return null;
+}
+
+function genderFromColumn(val) {
+    const str = normalizeText(val).replace(/\.$/, '');
+    if (!str) return null;
+    if (FEMALE_VALUES.includes(str)) return 'female';
+    if (MALE_VALUES.includes(str)) return 'male';
+    return null;
+}
+
+/**
+ * JSHSHIR (PINFL) is 14 digits; the first digit encodes century and gender:
+ * odd (1, 3, 5) - male, even (2, 4, 6) - female.
+ */
+function genderFromJshshir(val) {
+    const digits = String(val === null || val === undefined ? '' : val).replace(/\s/g, '');
+    if (!/^\d{14}$/.test(digits)) return null;
+    const first = Number(digits[0]);
+    if (first < 1 || first > 6) return null;
+    return first % 2 === 1 ? 'male' : 'female';
+}
+
+function genderFromPatronymic(name) {
+    const words = normalizeText(name).split(/\s+/).filter(w => w);
+    if (words.length < 2) return null;
+
+    if (words.some(w => FEMALE_PATRONYMIC_WORDS.includes(w))) return 'female';
+    if (words.some(w => MALE_PATRONYMIC_WORDS.includes(w))) return 'male';
+
+    // Russian-style patronymic is the last word: "Karimovna", "Karimovich"
+    const last = words[words.length - 1];
+    if (FEMALE_PATRONYMIC_SUFFIXES.some(s => last.endsWith(s))) return 'female';
+    if (words.length >= 3 && MALE_PATRONYMIC_SUFFIXES.some(s => last.endsWith(s))) return 'male';
+    return null;
+}
+
+function genderFromSurname(name) {
+    // Take First Word (Surname usually)
+    const firstWord = normalizeText(name).split(/\s+/)[0];
+    if (!firstWord) return null;
+    if (FEMALE_SURNAME_SUFFIXES.some(s => firstWord.endsWith(s))) return 'female';
+    if (MALE_SURNAME_SUFFIXES.some(s => firstWord.endsWith(s))) return 'male';
+    return null;
+}
+
+/**
+ * Resolve gender from raw cell values.
+ * @param {Object} values - { gender, jshshir, name } raw cell values (any may be missing)
+ * @returns {{ gender: 'male'|'female', source: string }}
+ */
+function resolveGender(values) {
+    const { gender, jshshir, name } = values;
+
+    let g = genderFromColumn(gender);
+    if (g) return { gender: g, source: 'column' };
+
+    g = genderFromJshshir(jshshir);
+    if (g) return { gender: g, source: 'jshshir' };
+
+    g = genderFromPatronymic(name);
+    if (g) return { gender: g, source: 'patronymic' };
+
+    g = genderFromSurname(name);
+    if (g) return { gender: g, source: 'surname' };
+
+    return { gender: 'male', source: 'default' };
+}
+
+module.exports = {
+    GENDER_SOURCES,
+    normalizeText,
+    findGenderColumn,
+    findJshshirColumn,
+    resolveGender
+};
@@ -0,0 +1,89 @@
+// iCalendar (RFC 5545) writer for the generated visits: phone calendars and reception agendas.
+// Times are "floating" (clinic local time, no time zone); all-day events when no time slots are set.
+
+const crypto = require('crypto');
+const dayjs = require('dayjs');
+
+const PRODUCT_ID = '-//tibbiyreja//Tashriflar rejasi//UZ';
+
+/**
+ * Escape TEXT values (backslash, semicolon, comma, new line)
+ */
+function escapeText(val) {
+    return String(val === null || val === undefined ? '' : val)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to 75 octets (continuation lines start with a space), never inside a UTF-8 character
+ */
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    let size = 0;
+    for (const ch of line) {
+        const bytes = Buffer.byteLength(ch);
+        const limit = parts.length === 0 ? 75 : 74; // Continuation lines carry the leading space
+        if (size + bytes > limit) {
+            parts.push(current);
+            current = '';
+            size = 0;
+        }
+        current += ch;
+        size += bytes;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+/**
+ * Stable event UID from parts that identify the visit (same patient, range, visit number and plan period - same UID),
+ * so importing a regenerated plan updates events instead of duplicating them
+ */
+function eventUid(...parts) {
+    const hash = crypto.createHash('sha1').update(parts.join('|')).digest('hex').slice(0, 24);
+    return `${hash}@tibbiyreja`;
+}
+
+/**
+ * Build a calendar file.
+ * @param {string} name - Calendar name (range / doctor)
+ * @param {Array} events - { uid, start: dayjs, minutes (null - all-day), summary, description }
+ * @returns {string} .ics content
+ */
+function buildIcs(name, events) {
+    const stamp = dayjs().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`
+    ];
+
+    events.forEach(e => {
+        lines.push('BEGIN:VEVENT', `UID:${e.uid}`, `DTSTAMP:${stamp}`);
+        if (e.minutes) {
+            lines.push(`DTSTART:${e.start.format('YYYYMMDD[T]HHmmss')}`);
+            lines.push(`DTEND:${e.start.add(e.minutes, 'minute').format('YYYYMMDD[T]HHmmss')}`);
+        } else {
+            lines.push(`DTSTART;VALUE=DATE:${e.start.format('YYYYMMDD')}`);
+            lines.push(`DTEND;VALUE=DATE:${e.start.add(1, 'day').format('YYYYMMDD')}`);
+        }
+        lines.push(`SUMMARY:${escapeText(e.summary)}`);
+        if (e.description) lines.push(`DESCRIPTION:${escapeText(e.description)}`);
+        lines.push('END:VEVENT');
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    eventUid,
+    buildIcs
+};
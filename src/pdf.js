@@ -0,0 +1,119 @@
+// Printable day lists (PDF): one page per working day with empty "Keldi" / "Imzo" columns.
+// Built with pdfkit. Built-in PDF fonts have no Cyrillic or '№', so a Unicode TTF is required
+// (PDF_FONT / PDF_FONT_BOLD environment variables, else DejaVu Sans from the system); without one
+// no PDF is made.
+
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+
+const FONT_CANDIDATES = [
+    [process.env.PDF_FONT, process.env.PDF_FONT_BOLD],
+    ['/usr/share/fonts/truetype/dejavu/DejaVuSans.ttf', '/usr/share/fonts/truetype/dejavu/DejaVuSans-Bold.ttf'],
+    ['/usr/share/fonts/dejavu/DejaVuSans.ttf', '/usr/share/fonts/dejavu/DejaVuSans-Bold.ttf'],
+    ['C:\\Windows\\Fonts\\arial.ttf', 'C:\\Windows\\Fonts\\arialbd.ttf']
+];
+
+const WEEKDAYS = ['Yakshanba', 'Dushanba', 'Seshanba', 'Chorshanba', 'Payshanba', 'Juma', 'Shanba'];
+
+const MARGIN = 40;
+const ROW_PADDING = 4;
+
+/**
+ * Regular and bold font: TTF paths, or null if no Unicode font is found
+ */
+function pickFonts() {
+    for (const [regular, bold] of FONT_CANDIDATES) {
+        if (regular && fs.existsSync(regular)) {
+            return { regular, bold: bold && fs.existsSync(bold) ? bold : regular };
+        }
+    }
+    return null;
+}
+
+/**
+ * Build day lists.
+ * @param {Object} list
+ * @param {string} list.clinicName - Printed on top of every page (may be empty)
+ * @param {string} list.doctor - Doctor / uchastka (group), may be empty
+ * @param {string} list.title - Range title
+ * @param {boolean} list.withTime - Add the appointment time column
+ * @param {Array} list.days - [{ date: dayjs, rows: [{ name, birthDate, address, time }] }] in date order
+ * @returns {Promise<Buffer>}
+ */
+function buildDayListsPdf({ clinicName, doctor, title, withTime, days }) {
+    const fonts = pickFonts();
+    if (!fonts) throw new Error("Xato: PDF uchun kirill harfli shrift topilmadi (PDF_FONT).");
+    const doc = new PDFDocument({ size: 'A4', margin: MARGIN, autoFirstPage: false });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    const done = new Promise((resolve, reject) => {
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+    });
+
+    // Column widths share the page width; name and address take what is left
+    const columns = [
+        { key: 'index', label: '№', width: 28 },
+        { key: 'name', label: 'F.I.SH', width: 0, share: 0.55 },
+        { key: 'birthDate', label: "Tug'ilgan sana", width: 70 },
+        { key: 'address', label: 'Manzil', width: 0, share: 0.45 },
+        ...(withTime ? [{ key: 'time', label: 'Vaqti', width: 40 }] : []),
+        { key: 'came', label: 'Keldi', width: 40 },
+        { key: 'sign', label: 'Imzo', width: 60 }
+    ];
+    const pageWidth = 595.28 - MARGIN * 2;
+    const fixed = columns.reduce((sum, c) => sum + c.width, 0);
+    columns.forEach(c => {
+        if (c.share) c.width = (pageWidth - fixed) * c.share;
+    });
+
+    const drawRow = (cells, font) => {
+        doc.font(font).fontSize(9);
+        const height = Math.max(18, ...columns.map((c, i) => doc.heightOfString(cells[i], { width: c.width - ROW_PADDING * 2 }) + ROW_PADDING * 2));
+        if (doc.y + height > doc.page.height - MARGIN) return false;
+
+        const top = doc.y;
+        let x = MARGIN;
+        columns.forEach((c, i) => {
+            doc.rect(x, top, c.width, height).stroke();
+            doc.text(cells[i], x + ROW_PADDING, top + ROW_PADDING, { width: c.width - ROW_PADDING * 2 });
+            x += c.width;
+        });
+        doc.x = MARGIN;
+        doc.y = top + height;
+        return true;
+    };
+
+    const startPage = (date, continued) => {
+        doc.addPage();
+        if (clinicName) doc.font(fonts.bold).fontSize(13).text(clinicName, { align: 'center' });
+        doc.font(fonts.regular).fontSize(10);
+        if (doctor) doc.text(`Shifokor / uchastka: ${doctor}`);
+        doc.text(`Oraliq: ${title}`);
+        doc.font(fonts.bold).fontSize(11)
+            .text(`${date.format('DD.MM.YYYY')}, ${WEEKDAYS[date.day()]}${continued ? ' (davomi)' : ''}`);
+        doc.moveDown(0.5);
+        drawRow(columns.map(c => c.label), fonts.bold);
+    };
+
+    days.forEach(day => {
+        startPage(day.date, false);
+        day.rows.forEach((row, idx) => {
+            const cells = columns.map(c => {
+                if (c.key === 'index') return String(idx + 1);
+                if (c.key === 'came' || c.key === 'sign') return '';
+                return row[c.key] || '';
+            });
+            if (!drawRow(cells, fonts.regular)) {
+                startPage(day.date, true);
+                drawRow(cells, fonts.regular);
+            }
+        });
+    });
+
+    if (days.length === 0) doc.addPage().font(fonts.regular).text("Tashriflar yo'q.");
+    doc.end();
+    return done;
+}
+
+module.exports = { pickFonts, buildDayListsPdf };
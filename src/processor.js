@@ -4,6 +4,12 @@ const dayjs = require('dayjs');
 const archiver = require('archiver');
 const fs = require('fs');
 const path = require('path');
+const { GENDER_SOURCES, normalizeText, findGenderColumn, findJshshirColumn, resolveGender } = require('./gender');
+const { filterText, validateFilters, matchesFilters } = require('./filters');
+const { getCalendar } = require('./calendar');
+const { eventUid, buildIcs } = require('./ics');
+const { pickFonts, buildDayListsPdf } = require('./pdf');
+const { loadTemplate, fillTemplate } = require('./template');
 
 // Uzbek Month Names
 const MONTH_NAMES = [
@@ -13,23 +19,189 @@ const MONTH_NAMES = [
 
 const CUSTOM_DATE_FORMAT = 'D.MM.YYYY';
 
+// Column roles that can be detected or set manually via config.columns
+const COLUMN_ROLES = ['birthDate', 'name', 'id', 'gender', 'jshshir', 'address'];
+
+// Patient order before distribution (per range)
+const PATIENT_ORDERS = ['source', 'address', 'birthDate', 'random'];
+
+/**
+ * Plain cell value (Rich Text / Hyperlink -> text)
+ */
+function plainValue(val) {
+    if (typeof val === 'object' && val !== null && !(val instanceof Date)) {
+        if (val.richText) return val.richText.map(t => t.text).join('');
+        if (val.text) return val.text;
+        if (val.result !== undefined) return val.result; // Formula
+    }
+    return val;
+}
+
+/**
+ * Collect first data rows (raw values, 0-based by column) for value based detection
+ */
+function collectSampleRows(sheet, headerRowIdx, limit = 50) {
+    const samples = [];
+    const last = Math.min(sheet.rowCount, headerRowIdx + limit);
+    for (let r = headerRowIdx + 1; r <= last; r++) {
+        const values = [];
+        sheet.getRow(r).eachCell({ includeEmpty: true }, (cell, col) => {
+            values[col - 1] = plainValue(cell.value);
+        });
+        samples.push(values);
+    }
+    return samples;
+}
+
+/**
+ * Share of non-empty sample values in a column that pass the test
+ */
+function columnMatchRatio(sampleRows, colIdx, test) {
+    let filled = 0;
+    let matched = 0;
+    sampleRows.forEach(values => {
+        const val = values[colIdx - 1];
+        if (val === null || val === undefined || String(val).trim() === '') return;
+        filled++;
+        if (test(val)) matched++;
+    });
+    if (filled < 3) return 0;
+    return matched / filled;
+}
+
+function headerMatch(headers, keywords) {
+    for (let i = 0; i < headers.length; i++) {
+        const val = String(headers[i] || '').toLowerCase();
+        const keyword = keywords.find(k => val.includes(k));
+        if (keyword) return { index: i + 1, keyword };
+    }
+    return null;
+}
+
+function columnPick(headers, index, confidence, reason) {
+    return { index, header: index ? headers[index - 1] : null, confidence, reason };
+}
+
 /**
  * Detect birth date column
  */
-function findBirthDateColumn(headerRow) {
-    // headerRow is Array of strings or objects {header:..., key:...}
-    // We assume row values are strings
-    const keywords = ['tug\'ilgan', 'birth', 'd.o.b', 'data rojdeniya', 'sana'];
+function findBirthDateColumn(headers, sampleRows = []) {
+    const keywords = ['tug\'ilgan', 'birth', 'd.o.b', 'data rojdeniya', 'дата рождения', 'туғилган', 'sana'];
 
     // 1. Try key name match
-    // headerRow is just values: ["Id", "Name", "Tug'ilgan sanasi"]
-    for (let i = 0; i < headerRow.length; i++) {
-        const val = String(headerRow[i]).toLowerCase();
-        if (keywords.some(k => val.includes(k))) {
-            return i + 1; // Return 1-based index for ExcelJS
+    const match = headerMatch(headers, keywords);
+    if (match) return columnPick(headers, match.index, 'high', `Sarlavhada "${match.keyword}" so'zi bor`);
+
+    // 2. Column whose values look like birth dates
+    const maxYear = dayjs().year();
+    for (let i = 1; i <= headers.length; i++) {
+        const ratio = columnMatchRatio(sampleRows, i, v => {
+            const d = parseDate(v);
+            return d.isValid() && d.year() >= 1900 && d.year() <= maxYear;
+        });
+        if (ratio >= 0.6) return columnPick(headers, i, 'medium', `Qiymatlarning ${Math.round(ratio * 100)}% sanaga o'xshaydi`);
+    }
+
+    return columnPick(headers, 1, 'low', 'Topilmadi, 1-ustun olindi'); // Fallback to col 1
+}
+
+/**
+ * Detect full name column (F.I.SH)
+ */
+function findNameColumn(headers, sampleRows = []) {
+    const keywords = ['f.i.sh', 'fish', 'ism', 'name', 'familiya', 'ф.и.ш', 'фио', 'ф.и.о'];
+
+    const match = headerMatch(headers, keywords);
+    if (match) return columnPick(headers, match.index, 'high', `Sarlavhada "${match.keyword}" so'zi bor`);
+
+    // Text of two or more words without digits
+    for (let i = 1; i <= headers.length; i++) {
+        const ratio = columnMatchRatio(sampleRows, i, v => typeof v === 'string' && !/\d/.test(v) && v.trim().split(/\s+/).length >= 2);
+        if (ratio >= 0.6) return columnPick(headers, i, 'medium', `Qiymatlarning ${Math.round(ratio * 100)}% ism-familiyaga o'xshaydi`);
+    }
+
+    // Fallback to col 2 if not found (Col 1 is usually ID)
+    if (headers.length > 1) return columnPick(headers, 2, 'low', 'Topilmadi, 2-ustun olindi');
+    return columnPick(headers, null, 'none', 'Topilmadi');
+}
+
+/**
+ * Detect row number column (№, T/r). Matches whole words so "Nomi" is not taken for "No".
+ */
+function findIdColumn(headers, sampleRows = []) {
+    for (let i = 0; i < headers.length; i++) {
+        const val = String(headers[i] || '').toLowerCase().trim();
+        if (val.includes('№') || /(^|\s)(t\/r|т\/р|п\/п|tartib)/.test(val) || /^(no|n|#)\.?$/.test(val)) {
+            return columnPick(headers, i + 1, 'high', `Sarlavha "${headers[i]}" tartib raqamga mos`);
         }
     }
-    return 1; // Fallback to col 1
+
+    // If not found, maybe first column? Only if it holds whole numbers
+    const ratio = columnMatchRatio(sampleRows, 1, v => Number.isInteger(Number(v)));
+    if (ratio === 1) return columnPick(headers, 1, 'medium', '1-ustun qiymatlari tartib raqamga o\'xshaydi');
+
+    return columnPick(headers, null, 'none', 'Topilmadi');
+}
+
+/**
+ * Detect address column (Manzil, Mahalla)
+ */
+function findAddressColumn(headers) {
+    const keywords = ['manzil', 'mahalla', 'address', 'adres', 'yashash', 'манзил', 'маҳалла', 'махалла', 'адрес'];
+
+    const match = headerMatch(headers, keywords);
+    if (match) return columnPick(headers, match.index, 'high', `Sarlavhada "${match.keyword}" so'zi bor`);
+    return columnPick(headers, null, 'none', 'Topilmadi');
+}
+
+/**
+ * Detect all column roles. Explicit overrides ({ role: 1-based index or null }) win over heuristics.
+ */
+function detectColumns(headers, sampleRows = [], overrides = {}) {
+    const genderKey = findGenderColumn(headers);
+    const jshshirKey = findJshshirColumn(headers);
+
+    const columns = {
+        birthDate: findBirthDateColumn(headers, sampleRows),
+        name: findNameColumn(headers, sampleRows),
+        id: findIdColumn(headers, sampleRows),
+        gender: genderKey
+            ? columnPick(headers, headers.indexOf(genderKey) + 1, 'high', `Sarlavha "${genderKey}" jinsni bildiradi`)
+            : columnPick(headers, null, 'none', 'Topilmadi'),
+        jshshir: jshshirKey
+            ? columnPick(headers, headers.indexOf(jshshirKey) + 1, 'high', `Sarlavha "${jshshirKey}" JSHSHIRni bildiradi`)
+            : columnPick(headers, null, 'none', 'Topilmadi'),
+        address: findAddressColumn(headers)
+    };
+
+    if (!columns.jshshir.index) {
+        for (let i = 1; i <= headers.length; i++) {
+            const ratio = columnMatchRatio(sampleRows, i, v => /^\d{14}$/.test(String(v).trim()));
+            if (ratio >= 0.6) {
+                columns.jshshir = columnPick(headers, i, 'medium', `Qiymatlarning ${Math.round(ratio * 100)}% 14 xonali raqam`);
+                break;
+            }
+        }
+    }
+
+    for (const role of COLUMN_ROLES) {
+        if (!overrides || !(role in overrides)) continue;
+        const val = overrides[role];
+
+        if (val === null || val === '' || val === 0) {
+            if (role === 'birthDate') throw new Error("Xato: Tug'ilgan sana ustuni tanlanmagan!");
+            columns[role] = columnPick(headers, null, 'manual', 'Foydalanuvchi tanlamadi');
+            continue;
+        }
+
+        const idx = Number(val);
+        if (!Number.isInteger(idx) || idx < 1 || idx > headers.length) {
+            throw new Error(`Xato: "${role}" uchun ustun raqami noto'g'ri (${val})`);
+        }
+        columns[role] = columnPick(headers, idx, 'manual', 'Foydalanuvchi tanladi');
+    }
+
+    return columns;
 }
 
 function isValidDate(val) {
@@ -78,82 +250,661 @@ function parseDate(val) {
     return dayjs(val);
 }
 
+// Reasons a register row is left out of the plan (shown in "Xatolar" sheet)
+const PROBLEM_REASONS = {
+    invalidDate: "Tug'ilgan sana o'qilmadi",
+    before1900: "Tug'ilgan yil 1900 dan oldin",
+    futureDate: "Tug'ilgan sana kelajakda",
+    emptyName: "F.I.SH bo'sh"
+};
+
+function isBlankRow(row) {
+    let blank = true;
+    row.eachCell(cell => {
+        const val = plainValue(cell.value);
+        if (val !== null && val !== undefined && String(val).trim() !== '') blank = false;
+    });
+    return blank;
+}
+
+function rawText(val) {
+    if (val === null || val === undefined) return '';
+    if (val instanceof Date) return dayjs(val).format('DD.MM.YYYY');
+    return String(val);
+}
+
 /**
- * Get Working Days for a Month
+ * Check a register row. Returns { reason, value } if the row can not be planned, else null.
  */
-function getWorkingDays(year, monthIndex, holidays, saturdayWorking) {
-    const days = [];
-    // monthIndex is 0-11
-    const start = dayjs().year(year).month(monthIndex).date(1);
-    const end = start.endOf('month');
+function findRowProblem(row, birthColIdx, nameColIdx) {
+    const birthValue = plainValue(row.getCell(birthColIdx).value);
+    const date = parseDate(birthValue);
 
-    let curr = start;
-    while (curr.isBefore(end) || curr.isSame(end, 'day')) {
-        const dWeek = curr.day(); // 0 is Sunday
-        const isSunday = dWeek === 0;
-        const isSaturday = dWeek === 6;
+    if (!date.isValid()) return { reason: PROBLEM_REASONS.invalidDate, value: rawText(birthValue) };
+    if (date.year() < 1900) return { reason: PROBLEM_REASONS.before1900, value: rawText(birthValue) };
+    if (date.isAfter(dayjs(), 'day')) return { reason: PROBLEM_REASONS.futureDate, value: rawText(birthValue) };
 
-        // Formatted date string to check holidays
-        const dateStr = curr.format('YYYY-MM-DD');
-        const isHoliday = holidays.includes(dateStr);
+    if (nameColIdx > 0) {
+        const nameValue = plainValue(row.getCell(nameColIdx).value);
+        if (!nameValue || !String(nameValue).trim()) return { reason: PROBLEM_REASONS.emptyName, value: rawText(nameValue) };
+    }
+    return null;
+}
+
+// Fills for highlighted rows in output sheets
+const UNPLANNED_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFFF00' } }; // Yellow
+const DUPLICATE_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFC000' } }; // Orange
+const PRIORITY_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFC7CE' } }; // Light red
+
+function normalizeName(val) {
+    return normalizeText(val).replace(/[^a-zа-яёўқғҳ0-9' ]/gi, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function normalizeJshshir(val) {
+    const digits = String(val === null || val === undefined ? '' : val).replace(/\s/g, '');
+    return /^\d{14}$/.test(digits) ? digits : null;
+}
 
-        let isWorking = !isSunday && !isHoliday;
-        if (isSaturday && !saturdayWorking) {
-            isWorking = false;
+/**
+ * Find duplicate patients: same JSHSHIR, or same normalized full name + birth date
+ * (only when the JSHSHIR values of those rows don't contradict each other).
+ * @param {Array} records - [{ row, name, jshshir, birthDate (dayjs) }]
+ * @returns {Array} [{ by: 'jshshir'|'name', rows: [rowNumbers], name, birthDate }]
+ */
+function findDuplicates(records) {
+    // Union-Find over record indexes
+    const parent = records.map((_, i) => i);
+    const find = (i) => parent[i] === i ? i : (parent[i] = find(parent[i]));
+    const union = (a, b) => { parent[find(b)] = find(a); };
+    const matchedBy = {};
+
+    const byJshshir = {};
+    const byName = {};
+    records.forEach((r, i) => {
+        const jsh = normalizeJshshir(r.jshshir);
+        if (jsh) (byJshshir[jsh] = byJshshir[jsh] || []).push(i);
+
+        const name = normalizeName(r.name);
+        if (name && r.birthDate && r.birthDate.isValid()) {
+            const key = `${name}|${r.birthDate.format('YYYY-MM-DD')}`;
+            (byName[key] = byName[key] || []).push(i);
         }
+    });
+
+    Object.values(byJshshir).forEach(idxs => {
+        if (idxs.length < 2) return;
+        idxs.slice(1).forEach(i => union(idxs[0], i));
+        idxs.forEach(i => matchedBy[i] = 'jshshir');
+    });
+
+    Object.values(byName).forEach(idxs => {
+        if (idxs.length < 2) return;
+        // Different JSHSHIR values mean different people (e.g. namesakes)
+        const distinct = new Set(idxs.map(i => normalizeJshshir(records[i].jshshir)).filter(j => j));
+        if (distinct.size > 1) return;
+        idxs.slice(1).forEach(i => union(idxs[0], i));
+        idxs.forEach(i => { if (!matchedBy[i]) matchedBy[i] = 'name'; });
+    });
+
+    const groups = {};
+    records.forEach((r, i) => {
+        if (!matchedBy[i]) return;
+        const root = find(i);
+        (groups[root] = groups[root] || []).push(i);
+    });
+
+    return Object.values(groups)
+        .filter(idxs => idxs.length > 1)
+        .map(idxs => {
+            const first = records[idxs[0]];
+            return {
+                by: idxs.every(i => matchedBy[i] === 'jshshir') ? 'jshshir' : 'name',
+                rows: idxs.map(i => records[i].row).sort((a, b) => a - b),
+                name: rawText(first.name),
+                birthDate: first.birthDate && first.birthDate.isValid() ? first.birthDate.format('DD.MM.YYYY') : ''
+            };
+        })
+        .sort((a, b) => a.rows[0] - b.rows[0]);
+}
+
+/**
+ * Rows a duplicate policy takes out of the plan: 'flag' none, 'first' all but the first copy, 'drop' every copy
+ * @param {Array} groups - findDuplicates() result
+ * @returns {Set<number>} Row numbers
+ */
+function duplicateRowsToRemove(groups, policy) {
+    const removed = new Set();
+    groups.forEach(g => {
+        if (policy === 'first') g.rows.slice(1).forEach(n => removed.add(n));
+        else if (policy === 'drop') g.rows.forEach(n => removed.add(n));
+    });
+    return removed;
+}
+
+// Visit date headers this tool writes: "Tashrif sanasi", "2-tashrif sanasi", "3 kunlik tashrif"
+const VISIT_HEADER = /^(\d+-)?tashrif sanasi$|^\d+ (kunlik|oylik|yoshda) tashrif$/;
+
+function isVisitHeader(val) {
+    return VISIT_HEADER.test(normalizeText(plainValue(val)));
+}
 
-        if (isWorking) {
-            days.push(curr);
+/**
+ * Header row of a plan written by this tool: the first row with a visit date column.
+ * Title rows carried over from the register ("2026 yil reja") would match the register keywords.
+ */
+function findPlanHeaderRow(sheet) {
+    const limit = Math.min(30, sheet.rowCount);
+    for (let r = 1; r <= limit; r++) {
+        let found = false;
+        sheet.getRow(r).eachCell(cell => {
+            if (isVisitHeader(cell.value)) found = true;
+        });
+        if (found) return r;
+    }
+    return findHeaderRow(sheet);
+}
+
+/**
+ * Read last year's plan: Umumiy_Reja.xlsx ("Umumiy Reja" sheet) or its JSON export
+ * JSON: [{ jshshir, name, birthDate, visits: ['2025-03-10', ...] }] or { patients: [...] }
+ * @returns {Promise<Array>} [{ jshshir, name, birthDate (dayjs), lastVisit (dayjs) }] - patients with a visit
+ */
+async function readPreviousPlan(buffer) {
+    const entries = [];
+    const addEntry = (jshshir, name, birthDate, visits) => {
+        const dates = visits.map(v => parseDate(v)).filter(d => d.isValid());
+        if (dates.length === 0) return;
+        const lastVisit = dates.reduce((a, b) => b.isAfter(a) ? b : a);
+        entries.push({ jshshir, name, birthDate: parseDate(birthDate), lastVisit });
+    };
+
+    const text = buffer.toString('utf8').trim();
+    if (text.startsWith('[') || text.startsWith('{')) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            throw new Error("Xato: O'tgan yil rejasi (JSON) o'qilmadi.");
         }
-        curr = curr.add(1, 'day');
+        const list = Array.isArray(data) ? data : (data.patients || []);
+        list.forEach(p => addEntry(p.jshshir, p.name, p.birthDate, Array.isArray(p.visits) ? p.visits : []));
+        return entries;
     }
-    return days;
+
+    const workbook = new ExcelJS.Workbook();
+    try {
+        await workbook.xlsx.load(buffer);
+    } catch (e) {
+        throw new Error("Xato: O'tgan yil rejasi o'qilmadi (Umumiy_Reja.xlsx yoki JSON kutilgan).");
+    }
+    const sheet = workbook.getWorksheet('Umumiy Reja') || workbook.worksheets[0];
+    if (!sheet) return entries;
+
+    const headerRowIdx = findPlanHeaderRow(sheet);
+    const headers = [];
+    sheet.getRow(headerRowIdx).eachCell({ includeEmpty: true }, (cell, col) => {
+        const val = plainValue(cell.value);
+        headers[col - 1] = val ? String(val) : '';
+    });
+    const columns = detectColumns(headers, collectSampleRows(sheet, headerRowIdx));
+
+    // Visit date columns: "Tashrif sanasi", "N-tashrif sanasi" (not the time columns)
+    const visitCols = [];
+    headers.forEach((h, i) => {
+        if (i + 1 !== columns.birthDate.index && isVisitHeader(h)) visitCols.push(i + 1);
+    });
+
+    sheet.eachRow((row, rowNumber) => {
+        if (rowNumber <= headerRowIdx) return;
+        const cellValue = idx => idx ? plainValue(row.getCell(idx).value) : null;
+        addEntry(
+            cellValue(columns.jshshir.index),
+            cellValue(columns.name.index),
+            cellValue(columns.birthDate.index),
+            visitCols.map(cellValue).filter(v => v !== null && v !== undefined && v !== '')
+        );
+    });
+    return entries;
+}
+
+/**
+ * Mark patients found in last year's plan with their last visit (r._lastVisit).
+ * Matched by JSHSHIR, else by full name + birth date (same rules as duplicates).
+ * @returns {number} matched patients
+ */
+function applyPreviousPlan(rows, entries, nameKey, jshshirKey) {
+    const byJshshir = new Map();
+    const byName = new Map();
+    entries.forEach(e => {
+        const jshshir = normalizeJshshir(e.jshshir);
+        if (jshshir) byJshshir.set(jshshir, e);
+        const name = normalizeName(e.name);
+        if (name && e.birthDate.isValid()) byName.set(`${name}|${e.birthDate.format('YYYY-MM-DD')}`, e);
+    });
+
+    let matched = 0;
+    rows.forEach(r => {
+        const jshshir = jshshirKey ? normalizeJshshir(r[jshshirKey]) : null;
+        let entry = jshshir ? byJshshir.get(jshshir) : null;
+        if (!entry && nameKey) {
+            const name = normalizeName(r[nameKey]);
+            if (name) entry = byName.get(`${name}|${r._birthDate.format('YYYY-MM-DD')}`);
+        }
+        if (!entry) return;
+        r._lastVisit = entry.lastVisit;
+        matched++;
+    });
+    return matched;
+}
+
+// Weekdays closed by default (dayjs .day() index): Sunday; Saturday unless config.saturdayWorking
+const WEEKDAY_NAMES = ['Yakshanba', 'Dushanba', 'Seshanba', 'Chorshanba', 'Payshanba', 'Juma', 'Shanba'];
+
+/**
+ * Working pattern of the clinic, used by every working-day check:
+ * - holidays / workingDays: 'YYYY-MM-DD' lists (transferred working day beats the weekend)
+ * - weekdayCapacity[0..6]: 0 - closed that weekday, > 0 - open (even Saturday / Sunday), empty - default
+ * - closedRules: recurring closed days, e.g. { weekday: 5, week: 'last' } - sanitary day on the last Friday
+ *   (week: 1-5 - n-th such weekday of the month, 'last' - the last one)
+ * - closures: [{ from, to, name }] - closed for repairs etc. (inclusive)
+ */
+function buildWorkPattern(config) {
+    const capacities = config.weekdayCapacity || [];
+    const weekdayOpen = WEEKDAY_NAMES.map((name, i) => {
+        const val = capacities[i];
+        if (val === null || val === undefined || val === '') return i === 0 ? false : (i === 6 ? Boolean(config.saturdayWorking) : true);
+        const n = Number(val);
+        if (!(n >= 0)) throw new Error(`Xato: ${name} sig'imi noto'g'ri: ${val}`);
+        return n > 0;
+    });
+
+    const closedRules = (config.closedRules || []).map(rule => {
+        const weekday = parseInt(rule.weekday);
+        const week = rule.week === 'last' ? 'last' : parseInt(rule.week);
+        if (!(weekday >= 0 && weekday <= 6) || !(week === 'last' || (week >= 1 && week <= 5))) {
+            throw new Error(`Xato: Yopiq kun qoidasi noto'g'ri: ${JSON.stringify(rule)}`);
+        }
+        return { weekday, week };
+    });
+
+    const closures = (config.closures || []).map(c => {
+        const from = dayjs(c.from);
+        const to = dayjs(c.to || c.from);
+        if (!from.isValid() || !to.isValid() || to.isBefore(from, 'day')) {
+            throw new Error(`Xato: Yopilish davri noto'g'ri: ${c.from} - ${c.to}`);
+        }
+        return { from, to, name: c.name || '' };
+    });
+
+    return {
+        holidays: config.holidays || [],
+        workingDays: config.workingDays || [],
+        weekdayOpen,
+        closedRules,
+        closures
+    };
+}
+
+// n-th weekday of the month ("2nd Monday") or the last one
+function matchesClosedRule(date, rule) {
+    if (date.day() !== rule.weekday) return false;
+    if (rule.week === 'last') return date.add(7, 'day').month() !== date.month();
+    return Math.ceil(date.date() / 7) === rule.week;
 }
 
 // Helper to check working day validity for SINGLE date
-function isWorkingDay(date, holidays, saturdayWorking) {
-    const dWeek = date.day();
+function isWorkingDay(date, pattern) {
     const dateStr = date.format('YYYY-MM-DD');
-    if (dWeek === 0) return false;
-    if (dWeek === 6 && !saturdayWorking) return false;
-    if (holidays.includes(dateStr)) return false;
-    return true;
+    if (pattern.holidays.includes(dateStr)) return false;
+    if (pattern.closures.some(c => !date.isBefore(c.from, 'day') && !date.isAfter(c.to, 'day'))) return false;
+    if (pattern.closedRules.some(rule => matchesClosedRule(date, rule))) return false;
+    if (pattern.workingDays.includes(dateStr)) return true;
+    return pattern.weekdayOpen[date.day()];
 }
 
-function findNextWorkingDay(date, holidays, saturdayWorking) {
-    let curr = date;
-    // Search limit 60 days
+/**
+ * Get Working Days for a Month
+ */
+function getWorkingDays(year, monthIndex, pattern) {
+    const days = [];
+    // monthIndex is 0-11
+    const start = dayjs().year(year).month(monthIndex).date(1);
+    const end = start.endOf('month');
+
+    for (let curr = start; !curr.isAfter(end, 'day'); curr = curr.add(1, 'day')) {
+        if (isWorkingDay(curr, pattern)) days.push(curr);
+    }
+    return days;
+}
+
+// First working day on or after date (search limit 60 days), then before it; null if none
+function findNextWorkingDay(date, pattern) {
     for (let i = 0; i < 60; i++) {
-        if (isWorkingDay(curr, holidays, saturdayWorking)) return curr;
-        curr = curr.add(1, 'day');
+        const curr = date.add(i, 'day');
+        if (isWorkingDay(curr, pattern)) return curr;
+    }
+    for (let i = 1; i < 60; i++) {
+        const curr = date.subtract(i, 'day');
+        if (isWorkingDay(curr, pattern)) return curr;
+    }
+    return null;
+}
+
+/**
+ * Plan period: 12 months from config.startMonth (1-12, default January) of targetYear,
+ * e.g. July 2026 - June 2027. months[k] is the first day of the k-th plan month.
+ */
+function planPeriod(config) {
+    const startMonth = parseInt(config.startMonth) || 1;
+    if (startMonth < 1 || startMonth > 12) {
+        throw new Error(`Xato: Reja boshlanish oyi noto'g'ri: ${config.startMonth}`);
+    }
+    const start = dayjs(`${config.targetYear}-${String(startMonth).padStart(2, '0')}-01`);
+    return {
+        start,
+        end: start.add(12, 'month').subtract(1, 'day'),
+        months: Array.from({ length: 12 }, (_, k) => start.add(k, 'month')),
+        crossesYear: startMonth > 1
+    };
+}
+
+// Plan month (0-11) of a date; may be outside 0-11 for dates outside the period
+function periodMonthIndex(period, date) {
+    return (date.year() - period.start.year()) * 12 + date.month() - period.start.month();
+}
+
+function inPeriod(period, date) {
+    return !date.isBefore(period.start, 'day') && !date.isAfter(period.end, 'day');
+}
+
+// Month sheet name; with the year when the period crosses into the next year ("Yanvar 2027")
+function monthSheetName(period, k) {
+    const d = period.months[k];
+    return period.crossesYear ? `${MONTH_NAMES[d.month()]} ${d.year()}` : MONTH_NAMES[d.month()];
+}
+
+/**
+ * Parse "HH:mm" into minutes from midnight
+ */
+function parseClock(val, what) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(val || '').trim());
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+        throw new Error(`Xato: ${what} vaqti noto'g'ri: "${val}" (SS:dd kutilgan)`);
     }
-    return date;
+    return Number(match[1]) * 60 + Number(match[2]);
 }
 
+/**
+ * Appointment slots of a working day (minutes from midnight)
+ * timeSlots: { start: '08:00', end: '13:00', slotMinutes: 15, breaks: [{ start: '10:00', end: '10:15' }] }
+ */
+function buildTimeSlots(timeSlots) {
+    if (!timeSlots) return null;
+    const start = parseClock(timeSlots.start, 'Ish boshlanish');
+    const end = parseClock(timeSlots.end, 'Ish tugash');
+    const length = parseInt(timeSlots.slotMinutes);
+    if (!(length > 0)) throw new Error(`Xato: Qabul davomiyligi noto'g'ri: ${timeSlots.slotMinutes}`);
+    const breaks = (timeSlots.breaks || []).map(b => ({
+        start: parseClock(b.start, 'Tanaffus boshlanish'),
+        end: parseClock(b.end, 'Tanaffus tugash')
+    }));
+
+    const slots = [];
+    for (let t = start; t + length <= end; t += length) {
+        // Slot must not touch a break
+        if (breaks.some(b => t < b.end && t + length > b.start)) continue;
+        slots.push(t);
+    }
+    if (slots.length === 0) throw new Error("Xato: Ish vaqtida birorta ham qabul vaqti yo'q.");
+    return slots;
+}
+
+/**
+ * Column for the visit time next to a visit date column ("1-tashrif sanasi" -> "1-tashrif vaqti")
+ */
+function timeKeyFor(visitKey) {
+    return visitKey.endsWith(' sanasi') ? visitKey.replace(/ sanasi$/, ' vaqti') : `${visitKey} vaqti`;
+}
+
+/**
+ * Daily Capacity (visits per working day)
+ * dailyCapacity: default limit, weekdayCapacity: [Ya, Du, Se, Cho, Pa, Ju, Sha] overrides (dayjs .day() index, 0 - closed).
+ * With time slots a day holds at most one visit per slot and booked dates carry the slot time.
+ * Without any limit book() behaves like findNextWorkingDay.
+ */
+function createDayLoad(config) {
+    const pattern = buildWorkPattern(config);
+    const toLimit = val => {
+        const n = parseInt(val);
+        return n > 0 ? n : null;
+    };
+    const daily = toLimit(config.dailyCapacity);
+    const byWeekday = Array.from({ length: 7 }, (_, i) => toLimit((config.weekdayCapacity || [])[i]) || daily);
+    const slots = buildTimeSlots(config.timeSlots);
+    const limited = byWeekday.some(c => c !== null) || slots !== null;
+    const yearEnd = planPeriod(config).end; // Last day of the plan period
+    const load = new Map(); // 'YYYY-MM-DD' -> booked visits
+
+    const used = date => load.get(date.format('YYYY-MM-DD')) || 0;
+    const capacityOf = date => Math.min(
+        byWeekday[date.day()] === null ? Infinity : byWeekday[date.day()],
+        slots ? slots.length : Infinity
+    );
+    const room = date => Math.max(0, capacityOf(date) - used(date));
+    const free = date => isWorkingDay(date, pattern) && room(date) > 0;
+
+    // Count the visit on that day; with time slots the date gets the slot time
+    const take = date => {
+        const slotIdx = used(date);
+        load.set(date.format('YYYY-MM-DD'), slotIdx + 1);
+        return slots ? date.startOf('day').add(slots[slotIdx], 'minute') : date;
+    };
+
+    return {
+        limited,
+        slots,
+        unmet: 0, // Visits that found no free day until the end of the plan period
+        room,
+
+        // Book a visit on date or the next working day with room (not after `until` / period end)
+        book(date, until) {
+            if (!limited) {
+                const d = findNextWorkingDay(date, pattern);
+                if (!d) {
+                    this.unmet++;
+                    return null;
+                }
+                return take(d);
+            }
+            const last = until && until.isBefore(yearEnd, 'day') ? until : yearEnd;
+            for (let curr = date; !curr.isAfter(last, 'day'); curr = curr.add(1, 'day')) {
+                if (free(curr)) return take(curr);
+            }
+            this.unmet++;
+            return null;
+        },
+
+        // Book a visit inside [notBefore, until]: date or later first, then earlier days; null if the window is full
+        bookWithin(date, notBefore, until) {
+            const last = until.isBefore(yearEnd, 'day') ? until : yearEnd;
+            for (let curr = date; !curr.isAfter(last, 'day'); curr = curr.add(1, 'day')) {
+                if (free(curr)) return take(curr);
+            }
+            for (let curr = date.subtract(1, 'day'); !curr.isBefore(notBefore, 'day'); curr = curr.subtract(1, 'day')) {
+                if (free(curr)) return take(curr);
+            }
+            return null;
+        }
+    };
+}
+
+/**
+ * Day load settings of one doctor / uchastka: config.groupCapacity[group] replaces the common daily
+ * capacity and caps the weekday limits; closed weekdays stay closed. Other groups use config as is.
+ */
+function groupDayLoadConfig(config, group) {
+    const own = group !== null && config.groupCapacity ? parseInt(config.groupCapacity[group]) : NaN;
+    if (!(own > 0)) return config;
+    return {
+        ...config,
+        dailyCapacity: own,
+        weekdayCapacity: (config.weekdayCapacity || []).map(val => {
+            if (val === null || val === undefined || val === '' || Number(val) === 0) return val;
+            return Math.min(Number(val), own);
+        })
+    };
+}
+
+/**
+ * Spread N patients over working days as evenly as the free room allows.
+ * With capacities, days get patients in proportion to their free room (short Saturday - fewer).
+ * Returns count per day; overflow of a full day moves to the next day with room.
+ */
+function spreadOverDays(n, days, dayLoad) {
+    const D = days.length;
+    const base = Math.floor(n / D);
+    const remainder = n % D;
+    if (!dayLoad.limited) return days.map((_, d) => d < remainder ? base + 1 : base);
+
+    const rooms = days.map(d => dayLoad.room(d));
+    // A day without a limit weighs like the roomiest limited day
+    const finite = rooms.filter(r => r !== Infinity);
+    const widest = finite.length > 0 ? Math.max(...finite) : 1;
+    const counts = splitCounts([n], rooms.map(r => r === Infinity ? widest : r)).map(c => c[0]);
+    let excess = 0;
+    for (let d = 0; d < D; d++) {
+        counts[d] += excess;
+        excess = Math.max(0, counts[d] - rooms[d]);
+        counts[d] -= excess;
+    }
+    // Still left at month end: fill earlier days that have room
+    for (let d = 0; d < D && excess > 0; d++) {
+        const add = Math.min(excess, rooms[d] - counts[d]);
+        counts[d] += add;
+        excess -= add;
+    }
+    return counts;
+}
+
+
+/**
+ * Copy of a cell style (ExcelJS shares style objects between cells, so never assign one twice)
+ */
+function cloneStyle(style) {
+    return style ? JSON.parse(JSON.stringify(style)) : {};
+}
+
+/**
+ * Form layout of the source sheet, repeated on every plan sheet: title rows above the header
+ * (with their merges), each header cell's style, data cell styles / number formats per column
+ * and freeze panes.
+ * @param {Worksheet} sheet - Source sheet
+ * @param {number} headerRowIdx - Header row (1-based)
+ * @param {number} columnCount - Source columns kept in the output
+ */
+function readSourceLayout(sheet, headerRowIdx, columnCount) {
+    const titleRows = [];
+    for (let r = 1; r < headerRowIdx; r++) {
+        const row = sheet.getRow(r);
+        const cells = [];
+        row.eachCell({ includeEmpty: true }, (cell, colNumber) => {
+            let value = cell.value;
+            // Formulas would point at the source layout - keep their result only
+            if (value && typeof value === 'object' && (value.formula || value.sharedFormula)) value = value.result;
+            // Merged slave cells take the master value - leave them empty, the merge shows it
+            if (cell.isMerged && cell.master !== cell) value = null;
+            cells.push({ col: colNumber, value, style: cloneStyle(cell.style) });
+        });
+        titleRows.push({ height: row.height, cells });
+    }
+
+    // Merges of the title block only; merges touching the header or data rows do not fit the new columns
+    const merges = (sheet.model.merges || []).map(ref => {
+        const match = String(ref).match(/^([A-Z]+)(\d+):([A-Z]+)(\d+)$/);
+        if (!match) return null;
+        return { ref, bottom: parseInt(match[4]) };
+    }).filter(m => m && m.bottom < headerRowIdx).map(m => m.ref);
+
+    const headerRow = sheet.getRow(headerRowIdx);
+    const headerStyles = [];
+    for (let c = 1; c <= columnCount; c++) {
+        headerStyles[c - 1] = cloneStyle(headerRow.getCell(c).style);
+    }
+
+    // Data styles from the first data row; number format also from the column style
+    const dataStyles = [];
+    const firstDataRow = sheet.getRow(headerRowIdx + 1);
+    for (let c = 1; c <= columnCount; c++) {
+        const style = cloneStyle(firstDataRow.getCell(c).style);
+        const colFmt = sheet.getColumn(c).numFmt;
+        if (!style.numFmt && colFmt) style.numFmt = colFmt;
+        dataStyles[c - 1] = style;
+    }
+
+    const view = (sheet.views || []).find(v => v.state === 'frozen');
+    const freeze = view ? { xSplit: view.xSplit || 0, ySplit: view.ySplit || 0 } : null;
+
+    return {
+        headerRowIdx,
+        headerHeight: headerRow.height,
+        titleRows,
+        merges,
+        headerStyles,
+        dataStyles,
+        freeze
+    };
+}
 
 /**
  * Apply Styles to Worksheet from Template
+ * @param {Object} layout - readSourceLayout() result: the header then goes to its source row,
+ *   below the copied title rows, and source columns keep their own header style
  */
-function applyTemplateStyles(targetSheet, headers, columnWidths, headerStyle) {
-    // Set Columns with Keys and Widths
+function applyTemplateStyles(targetSheet, headers, columnWidths, headerStyle, layout = null) {
+    // Set Columns with Keys and Widths (the header row is written below when a layout is given)
     targetSheet.columns = headers.map((h, i) => ({
-        header: h,
+        header: layout ? undefined : h,
         key: h,
         width: columnWidths[i] || 20
     }));
 
+    let headerRowIdx = 1;
+    if (layout) {
+        headerRowIdx = layout.headerRowIdx;
+        layout.titleRows.forEach((titleRow, i) => {
+            const row = targetSheet.getRow(i + 1);
+            titleRow.cells.forEach(c => {
+                const cell = row.getCell(c.col);
+                cell.value = c.value;
+                cell.style = cloneStyle(c.style);
+            });
+            if (titleRow.height) row.height = titleRow.height;
+            row.commit();
+        });
+        layout.merges.forEach(ref => targetSheet.mergeCells(ref));
+        if (layout.freeze) {
+            targetSheet.views = [{ state: 'frozen', xSplit: layout.freeze.xSplit, ySplit: layout.freeze.ySplit }];
+        }
+    }
+
     // Apply Header Style
-    const headerRow = targetSheet.getRow(1);
+    const headerRow = targetSheet.getRow(headerRowIdx);
+    if (layout && layout.headerHeight) headerRow.height = layout.headerHeight;
 
     // Explicitly loop through cells to apply style ONLY to data cells
     // Avoids infinite row styling
     for (let i = 1; i <= headers.length; i++) {
         const cell = headerRow.getCell(i);
-        if (headerStyle) {
-            cell.font = headerStyle.font;
-            cell.fill = headerStyle.fill;
-            cell.border = headerStyle.border;
-            cell.alignment = headerStyle.alignment;
+        // Source header cell of this column first, then the common header style for what it leaves unset
+        const own = layout && layout.headerStyles[i - 1] ? layout.headerStyles[i - 1] : {};
+        const part = (key) => own[key] && Object.keys(own[key]).length > 0 ? cloneStyle(own[key]) : (headerStyle ? headerStyle[key] : undefined);
+        if (layout) cell.value = headers[i - 1];
+        if (headerStyle || layout) {
+            cell.font = part('font');
+            cell.fill = part('fill');
+            cell.border = part('border');
+            cell.alignment = part('alignment');
+            if (own.numFmt) cell.numFmt = own.numFmt;
         } else {
             // Default Style
             cell.font = { bold: true };
@@ -165,6 +916,45 @@ function applyTemplateStyles(targetSheet, headers, columnWidths, headerStyle) {
     headerRow.commit();
 }
 
+/**
+ * Highlight fill of a plan row: duplicate, then unplanned, then high priority
+ */
+function rowFill(row) {
+    if (row._isDuplicate) return DUPLICATE_FILL;
+    if (row._isUnplanned) return UNPLANNED_FILL;
+    if (row._isPriority) return PRIORITY_FILL;
+    return null;
+}
+
+/**
+ * Add a data row with the output cell style (borders, font, date format, highlight fills).
+ * Source columns keep the font, borders, alignment and number format of the source data cells (layout).
+ */
+function addDataRow(sheet, headers, row, timeKeys = [], layout = null) {
+    const borderStyle = { top: { style: 'thin' }, left: { style: 'thin' }, bottom: { style: 'thin' }, right: { style: 'thin' } };
+    const newRow = sheet.addRow(headers.map(h => row[h]));
+    for (let c = 1; c <= headers.length; c++) {
+        const cell = newRow.getCell(c);
+        const source = layout ? layout.dataStyles[c - 1] : null;
+        // Unset parts of the source style come back as {} - those keep the default look
+        const sourcePart = (key) => source && source[key] && Object.keys(source[key]).length > 0 ? cloneStyle(source[key]) : null;
+        cell.border = sourcePart('border') || borderStyle;
+        cell.font = sourcePart('font') || { name: 'Times New Roman', size: 11 };
+        cell.alignment = sourcePart('alignment') || { wrapText: true, vertical: 'middle', horizontal: 'left' };
+        if (cell.value instanceof Date) cell.numFmt = 'dd.mm.yyyy';
+        if (source && source.numFmt && (typeof cell.value === 'number' || cell.value instanceof Date)) cell.numFmt = source.numFmt;
+        if (typeof cell.value === 'number' && timeKeys.includes(headers[c - 1])) {
+            cell.numFmt = 'hh:mm';
+            cell.alignment = { vertical: 'middle', horizontal: 'center' };
+        }
+
+        // --- HIGHLIGHT YELLOW FOR UNPLANNED ---
+        const fill = rowFill(row);
+        if (fill) cell.fill = fill;
+    }
+    return newRow;
+}
+
 /**
  * Find Header Row Index
  */
@@ -190,10 +980,496 @@ function findHeaderRow(sheet) {
     return 1; // Default
 }
 
+const MAX_VISITS = 24; // Visits per range in a plan period
+const MAX_FILTER_VALUES = 50; // Distinct values a column may have to get value suggestions in /api/analyze
+const CYCLE_STARTS = ['period', 'birthMonth']; // Birthday mode: where each patient's visit cycle starts
+
+// Visit ages for "by age offsets" schedules: "3 kun", "1 oy", "1 yil" (or { value, unit })
+const OFFSET_UNITS = {
+    kun: 'day', k: 'day', d: 'day', day: 'day',
+    oy: 'month', o: 'month', m: 'month', month: 'month',
+    yil: 'year', y: 'year', year: 'year'
+};
+const OFFSET_LABELS = { day: 'kunlik', month: 'oylik', year: 'yoshda' };
+
+/**
+ * Parse age offsets of a range: ['3 kun', '1 oy', ...] -> [{ value, unit, label }]
+ */
+function parseAgeOffsets(list) {
+    if (!Array.isArray(list) || list.length === 0) {
+        throw new Error("Xato: Yosh bo'yicha jadval uchun tashrif yoshlari ko'rsatilmagan!");
+    }
+    return list.map(item => {
+        let value;
+        let unit;
+        if (typeof item === 'object' && item !== null) {
+            value = Number(item.value);
+            unit = OFFSET_UNITS[String(item.unit).toLowerCase()];
+        } else {
+            const match = String(item).trim().toLowerCase().match(/^(\d+)\s*([a-z]+)$/);
+            if (match) {
+                value = Number(match[1]);
+                unit = OFFSET_UNITS[match[2]];
+            }
+        }
+        if (!unit || !Number.isInteger(value) || value < 0) {
+            throw new Error(`Xato: Tashrif yoshi noto'g'ri: "${typeof item === 'object' ? JSON.stringify(item) : item}"`);
+        }
+        return { value, unit, label: `${value} ${OFFSET_LABELS[unit]}` };
+    });
+}
+
+/**
+ * Number of visit columns of a range
+ */
+function rangeVisitCount(range) {
+    if (range.schedule === 'ageOffsets') return (range.ageOffsets || []).length || 1;
+    if (range.schedule === 'months') return new Set(range.visitMonths || []).size || 1;
+
+    const count = Number(range.visitCount || 1);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_VISITS) {
+        throw new Error(`Xato: Tashriflar soni 1 dan ${MAX_VISITS} gacha bo'lishi kerak (${range.visitCount}).`);
+    }
+    return count;
+}
+
+/**
+ * "Visits in these months" schedule: range.visitMonths are calendar months (1-12), e.g. [3, 9].
+ * Returns plan months (0-11 from the period start) in order.
+ */
+function parseVisitMonths(list, period) {
+    if (!Array.isArray(list) || list.length === 0) {
+        throw new Error("Xato: Tashrif oylari tanlanmagan!");
+    }
+    const months = [...new Set(list.map(Number))];
+    if (months.some(m => !Number.isInteger(m) || m < 1 || m > 12)) {
+        throw new Error(`Xato: Tashrif oyi noto'g'ri: ${list.join(', ')}`);
+    }
+    return months.map(m => (m - 1 - period.start.month() + 12) % 12).sort((a, b) => a - b);
+}
+
+/**
+ * Date of visit v (0-based) when visitCount visits are spread over 12 months from date.
+ * Whole months when 12 divides evenly (same day of month), otherwise evenly spaced days.
+ */
+function visitOffsetDate(date, v, visitCount) {
+    if (12 % visitCount === 0) return date.add(12 / visitCount * v, 'month');
+    const days = date.add(12, 'month').diff(date, 'day');
+    return date.add(Math.round(days * v / visitCount), 'day');
+}
+
+/**
+ * Range title: "2005-2010" for birth-year ranges, "0-11 oy" / "65+ yil" for age ranges
+ */
+function rangeTitle(range) {
+    if (range.type !== 'age') return `${range.startYear}-${range.endYear}`;
+    const unit = range.ageUnit === 'months' ? 'oy' : 'yil';
+    const max = ageLimit(range.maxAge);
+    return max === Infinity ? `${range.minAge || 0}+ ${unit}` : `${range.minAge || 0}-${max} ${unit}`;
+}
+
+/**
+ * Range label for warnings: "#2 (2010-2015, female)"
+ */
+function rangeLabel(range, idx) {
+    const gender = range.gender && range.gender !== 'all' ? `, ${range.gender}` : '';
+    return `#${idx + 1} (${rangeTitle(range)}${gender})`;
+}
+
+// Empty maxAge means "and older" (65+)
+function ageLimit(val) {
+    return val === null || val === undefined || val === '' ? Infinity : Number(val);
+}
+
+/**
+ * Age range bounds in months: [min, max] (inclusive)
+ */
+function ageBoundsMonths(range) {
+    const k = range.ageUnit === 'months' ? 1 : 12;
+    const max = ageLimit(range.maxAge);
+    return [(Number(range.minAge) || 0) * k, max === Infinity ? Infinity : (max + 1) * k - 1];
+}
+
+/**
+ * Dates within the plan period when a patient fits an age range: { from, to } or null.
+ * range.ageAt: 'visit' (age on the visit date, default) or 'yearStart' (age on the first day of the period).
+ */
+function ageWindow(range, birthDate, period) {
+    const unit = range.ageUnit === 'months' ? 'month' : 'year';
+    const yearStart = period.start;
+    const yearEnd = period.end;
+    const min = Number(range.minAge) || 0;
+    const max = ageLimit(range.maxAge);
+
+    if (range.ageAt === 'yearStart') {
+        const age = yearStart.diff(birthDate, unit);
+        return age >= min && age <= max ? { from: yearStart, to: yearEnd } : null;
+    }
+
+    // From the day the patient reaches minAge until the day before passing maxAge
+    let from = birthDate.add(min, unit);
+    let to = max === Infinity ? yearEnd : birthDate.add(max + 1, unit).subtract(1, 'day');
+    if (from.isBefore(yearStart)) from = yearStart;
+    if (to.isAfter(yearEnd)) to = yearEnd;
+    return from.isAfter(to) ? null : { from, to };
+}
+
+/**
+ * Birth dates a range can select: { from, to }
+ */
+function birthWindow(range, period) {
+    if (range.type !== 'age') {
+        return { from: dayjs(`${range.startYear}-01-01`), to: dayjs(`${range.endYear}-12-31`) };
+    }
+    const unit = range.ageUnit === 'months' ? 'month' : 'year';
+    const yearStart = period.start;
+    const yearEnd = range.ageAt === 'yearStart' ? yearStart : period.end;
+    const max = ageLimit(range.maxAge);
+    return {
+        from: max === Infinity ? dayjs('1900-01-01') : yearStart.subtract(max + 1, unit).add(1, 'day'),
+        to: yearEnd.subtract(Number(range.minAge) || 0, unit)
+    };
+}
+
+/**
+ * Two age-on-visit ranges with disjoint ages split a patient's year instead of competing for it
+ * (e.g. "0-11 months" monthly, then "12-23 months" quarterly)
+ */
+function rangesSplitByAge(ra, rb) {
+    if (ra.type !== 'age' || rb.type !== 'age') return false;
+    if (ra.ageAt === 'yearStart' || rb.ageAt === 'yearStart') return false;
+    const [aMin, aMax] = ageBoundsMonths(ra);
+    const [bMin, bMax] = ageBoundsMonths(rb);
+    return aMax < bMin || bMax < aMin;
+}
+
+/**
+ * Does a patient row belong to a range (birth year or age + gender + column filters)
+ */
+function rangeMatches(range, r, period) {
+    if (!r._birthDate.isValid()) return false;
+    const y = r._birthDate.year();
+    if (y < 1900) return false;
+
+    if (range.type === 'age') {
+        // Age Filter
+        if (!ageWindow(range, r._birthDate, period)) return false;
+    } else {
+        // Year Filter
+        if (y < range.startYear || y > range.endYear) return false;
+    }
+
+    // Gender Filter
+    if (range.gender && range.gender !== 'all') {
+        if (r._gender !== range.gender) return false;
+    }
+
+    // Column Filters ("Dispanser guruhi" = D, "Mahalla" contains X...)
+    return matchesFilters(r._cells, range.filters);
+}
+
+/**
+ * Find pairs of ranges that can select the same patient (shared birth dates, compatible gender)
+ */
+function findRangeOverlaps(ranges, period) {
+    const overlaps = [];
+    for (let a = 0; a < ranges.length; a++) {
+        for (let b = a + 1; b < ranges.length; b++) {
+            const ra = ranges[a];
+            const rb = ranges[b];
+            if (rangesSplitByAge(ra, rb)) continue;
+
+            const wa = birthWindow(ra, period);
+            const wb = birthWindow(rb, period);
+            const from = wa.from.isAfter(wb.from) ? wa.from : wb.from;
+            const to = wa.to.isBefore(wb.to) ? wa.to : wb.to;
+            if (from.isAfter(to)) continue;
+
+            const ga = ra.gender || 'all';
+            const gb = rb.gender || 'all';
+            if (ga !== 'all' && gb !== 'all' && ga !== gb) continue;
+
+            overlaps.push({ a, b, from: from.year(), to: to.year() });
+        }
+    }
+    return overlaps;
+}
+
+/**
+ * Assign every row to its ranges (r._rangeIndexes). Usually one range; several only
+ * when age-on-visit ranges split the patient's year.
+ * Policy for rows matched by competing ranges: 'first' - first matching range,
+ * 'specific' - narrowest span (gender specific beats 'all', then column filters beat none).
+ * @returns {Object} { "a-b": number of patients matched by both ranges }
+ */
+function assignRanges(rows, ranges, policy, period) {
+    const specificity = (range) => {
+        const span = range.type === 'age'
+            ? (ageBoundsMonths(range)[1] - ageBoundsMonths(range)[0]) / 12
+            : range.endYear - range.startYear;
+        const filtered = Array.isArray(range.filters) && range.filters.length > 0;
+        return span * 4 + (range.gender && range.gender !== 'all' ? 0 : 2) + (filtered ? 0 : 1);
+    };
+    const pairCounts = {};
+
+    rows.forEach(r => {
+        const matches = [];
+        ranges.forEach((range, i) => {
+            if (rangeMatches(range, r, period)) matches.push(i);
+        });
+
+        for (let i = 0; i < matches.length; i++) {
+            for (let j = i + 1; j < matches.length; j++) {
+                if (rangesSplitByAge(ranges[matches[i]], ranges[matches[j]])) continue;
+                const key = `${matches[i]}-${matches[j]}`;
+                pairCounts[key] = (pairCounts[key] || 0) + 1;
+            }
+        }
+
+        if (policy === 'specific') {
+            matches.sort((a, b) => specificity(ranges[a]) - specificity(ranges[b]) || a - b);
+        }
+
+        // Take ranges in order of preference, skipping those competing with one already taken
+        r._rangeIndexes = [];
+        matches.forEach(i => {
+            if (r._rangeIndexes.every(j => rangesSplitByAge(ranges[i], ranges[j]))) r._rangeIndexes.push(i);
+        });
+    });
+
+    return pairCounts;
+}
+
+/**
+ * Small seeded PRNG (mulberry32): same seed - same sequence
+ */
+function seededRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Order patients before distribution: 'source' (register order), 'address' (neighbours together),
+ * 'birthDate' (oldest first), 'random' (shuffle with seed). Ties keep register order.
+ */
+function orderPatients(patients, order, seed) {
+    const list = [...patients];
+    if (order === 'address') {
+        // Rows without address go last
+        list.sort((a, b) => (!a._address - !b._address) || normalizeText(a._address).localeCompare(normalizeText(b._address), undefined, { numeric: true }));
+    } else if (order === 'birthDate') {
+        list.sort((a, b) => a._birthDate.valueOf() - b._birthDate.valueOf());
+    } else if (order === 'random') {
+        const random = seededRandom(seed);
+        for (let i = list.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [list[i], list[j]] = [list[j], list[i]];
+        }
+    }
+    return list;
+}
+
+/**
+ * Minimum / maximum days between a patient's consecutive visits: { minGap, maxGap } (null - no limit)
+ */
+function rangeGaps(range, rangeIdx) {
+    const toDays = val => {
+        const n = parseInt(val);
+        return n > 0 ? n : null;
+    };
+    const minGap = toDays(range.minGap);
+    const maxGap = toDays(range.maxGap);
+    if (minGap && maxGap && minGap > maxGap) {
+        throw new Error(`Xato: ${rangeLabel(range, rangeIdx)}: eng kam oraliq (${minGap} kun) eng ko'pidan (${maxGap} kun) katta.`);
+    }
+    return { minGap, maxGap };
+}
+
+/**
+ * Auto plan: every patient of the range is scheduled, monthly counts are not used
+ */
+function rangeProcessesAll(range) {
+    return Boolean(range.useBirthday || range.schedule === 'ageOffsets' || range.schedule === 'months' || rangeVisitCount(range) > 1);
+}
+
+/**
+ * Group name of a row for the per-doctor / per-uchastka split
+ */
+function groupLabel(val) {
+    const text = rawText(val);
+    return text || 'Belgilanmagan';
+}
+
+/**
+ * Folder / file name safe for ZIP entries
+ */
+function safeFileName(name) {
+    return String(name).replace(/[\\/:*?"<>|]+/g, '_').trim() || '_';
+}
+
+/**
+ * Split monthly counts between groups in proportion to group sizes (largest remainder per month)
+ * @returns {number[][]} counts per group, same order as sizes
+ */
+function splitCounts(counts, sizes) {
+    const total = sizes.reduce((a, b) => a + b, 0);
+    const result = sizes.map(() => Array(counts.length).fill(0));
+    if (total === 0) return result;
+
+    counts.forEach((count, m) => {
+        const shares = sizes.map(size => (count || 0) * size / total);
+        let left = count || 0;
+        shares.forEach((share, g) => {
+            result[g][m] = Math.floor(share);
+            left -= result[g][m];
+        });
+        const order = shares
+            .map((share, g) => ({ g, frac: share - Math.floor(share) }))
+            .sort((a, b) => b.frac - a.frac || a.g - b.g);
+        for (let i = 0; i < left; i++) result[order[i].g][m]++;
+    });
+    return result;
+}
+
+/**
+ * Plan statistics: visits per month x range (and gender), per working day, planned vs available per range.
+ * @param {Array} units - allRangesRows entries { rows, visitKeys, rangeIdx }
+ */
+function buildStatistics(units, ranges, rowsData, period, workPattern) {
+    const months = period.months.map((_, m) => ({
+        month: monthSheetName(period, m),
+        byRange: ranges.map(() => 0),
+        male: 0,
+        female: 0,
+        total: 0
+    }));
+    const rangeStats = ranges.map((range, rangeIdx) => ({
+        range: rangeLabel(range, rangeIdx),
+        available: rowsData.filter(r => r._rangeIndexes.includes(rangeIdx)).length,
+        planned: 0,
+        unplanned: 0,
+        noCapacity: 0, // Unplanned because the daily capacity was full (also in Xatolar)
+        visits: 0,
+        male: 0,
+        female: 0
+    }));
+
+    // Every working day of the period, also those without visits (they count for the minimum)
+    const dayVisits = new Map(); // 'YYYY-MM-DD' -> visits
+    period.months.forEach(start => {
+        getWorkingDays(start.year(), start.month(), workPattern).forEach(d => dayVisits.set(d.format('YYYY-MM-DD'), 0));
+    });
+
+    units.forEach(unit => {
+        const stat = rangeStats[unit.rangeIdx];
+        unit.rows.forEach(row => {
+            const dates = unit.visitKeys.filter(key => row[key] instanceof Date).map(key => dayjs(row[key]));
+            if (dates.length === 0) {
+                stat.unplanned++;
+                if (row._noCapacity) stat.noCapacity++;
+                return;
+            }
+            stat.planned++;
+            dates.forEach(date => {
+                const m = periodMonthIndex(period, date);
+                if (m >= 0 && m < 12) {
+                    months[m].byRange[unit.rangeIdx]++;
+                    months[m][row._gender]++;
+                    months[m].total++;
+                }
+                stat.visits++;
+                stat[row._gender]++;
+                const dayKey = date.format('YYYY-MM-DD');
+                dayVisits.set(dayKey, (dayVisits.get(dayKey) || 0) + 1);
+            });
+        });
+    });
+
+    const days = [...dayVisits.keys()].sort().map(date => ({ date, visits: dayVisits.get(date) }));
+    const loads = days.map(d => d.visits);
+    const peak = days.reduce((best, d) => (!best || d.visits > best.visits ? d : best), null);
+    const totalVisits = loads.reduce((a, b) => a + b, 0);
+
+    return {
+        months,
+        ranges: rangeStats,
+        days,
+        perDay: {
+            workingDays: days.length,
+            min: loads.length > 0 ? Math.min(...loads) : 0,
+            avg: loads.length > 0 ? Math.round(totalVisits / loads.length * 10) / 10 : 0,
+            max: loads.length > 0 ? Math.max(...loads) : 0,
+            peakDate: peak ? peak.date : null
+        },
+        totalVisits
+    };
+}
+
+/**
+ * "Statistika" sheet: plain tables (title row, header row, numbers) one under another,
+ * so Excel charts can be put on any of them
+ */
+function addStatisticsSheet(workbook, stats, headerStyle) {
+    const sheet = workbook.addWorksheet("Statistika");
+    const borderStyle = { top: { style: 'thin' }, left: { style: 'thin' }, bottom: { style: 'thin' }, right: { style: 'thin' } };
+    sheet.columns = [{ width: 22 }, ...Array.from({ length: Math.max(6, stats.ranges.length + 3) }, () => ({ width: 16 }))];
+
+    const addTable = (title, headers, rows) => {
+        sheet.addRow([title]).getCell(1).font = { name: 'Times New Roman', size: 12, bold: true };
+        const headerRow = sheet.addRow(headers);
+        headers.forEach((_, i) => {
+            const cell = headerRow.getCell(i + 1);
+            cell.font = headerStyle.font;
+            cell.fill = headerStyle.fill;
+            cell.border = borderStyle;
+            cell.alignment = { wrapText: true, vertical: 'middle', horizontal: 'center' };
+        });
+        rows.forEach(values => {
+            const newRow = sheet.addRow(values);
+            values.forEach((val, i) => {
+                const cell = newRow.getCell(i + 1);
+                cell.border = borderStyle;
+                cell.font = { name: 'Times New Roman', size: 11 };
+                cell.alignment = { vertical: 'middle', horizontal: i === 0 ? 'left' : 'center' };
+                if (val instanceof Date) cell.numFmt = 'dd.mm.yyyy';
+            });
+        });
+        sheet.addRow([]);
+    };
+
+    addTable('Tashriflar: oy va oraliq bo\'yicha',
+        ['Oy', ...stats.ranges.map(r => r.range), 'Erkak', 'Ayol', 'Jami'],
+        stats.months.map(m => [m.month, ...m.byRange, m.male, m.female, m.total]));
+
+    addTable('Oraliqlar: reja va aholi',
+        ['Oraliq', 'Mavjud', 'Rejada', 'Rejadan tashqari', "Sig'im yetmadi", 'Tashriflar', 'Erkak', 'Ayol'],
+        stats.ranges.map(r => [r.range, r.available, r.planned, r.unplanned, r.noCapacity, r.visits, r.male, r.female]));
+
+    addTable('Kunlik yuklama',
+        ["Ko'rsatkich", 'Qiymat'],
+        [
+            ['Ish kunlari', stats.perDay.workingDays],
+            ['Eng kam (tashrif/kun)', stats.perDay.min],
+            ["O'rtacha (tashrif/kun)", stats.perDay.avg],
+            ["Eng ko'p (tashrif/kun)", stats.perDay.max],
+            ['Eng band kun', stats.perDay.peakDate ? dayjs(stats.perDay.peakDate).toDate() : '']
+        ]);
+
+    addTable('Ish kunlari bo\'yicha tashriflar',
+        ['Sana', 'Tashriflar'],
+        stats.days.map(d => [dayjs(d.date).toDate(), d.visits]));
+}
+
 /**
  * Main Process Function
  */
-async function processExcel(buffer, config) {
+async function processExcel(buffer, config, previousPlan = null, templateBuffer = null) {
     const workbook = new ExcelJS.Workbook();
     await workbook.xlsx.load(buffer);
 
@@ -232,56 +1508,54 @@ async function processExcel(buffer, config) {
         alignment: firstHeaderCell.alignment
     };
 
-    const birthColIdx = findBirthDateColumn(headers);
-
-    // Find ID Column (No, №, T/r)
-    let idColKey = null;
-    const idKeywords = ['№', 't/r', 'no', 'tartib'];
-    for (const h of headers) {
-        if (idKeywords.some(k => h.toLowerCase().includes(k))) {
-            idColKey = h;
-            break;
-        }
-    }
-    // If not found, maybe first column? Usually it is.
-    if (!idColKey && headers.length > 0) {
-        idColKey = headers[0];
-    }
-
-    console.log('Detected Birth Column Index:', birthColIdx);
-    console.log('Detected ID Column Key:', idColKey);
+    // Detect Columns (explicit config.columns mapping wins over keyword heuristics)
+    const columns = detectColumns(headers, collectSampleRows(inputSheet, headerRowIdx), config.columns || {});
+    const columnKey = (role) => columns[role].index ? headers[columns[role].index - 1] : null;
 
+    const birthColIdx = columns.birthDate.index;
+    const idColKey = columnKey('id');
+    const nameColKey = columnKey('name');
+    const genderColKey = columnKey('gender');
+    const jshshirColKey = columnKey('jshshir');
 
-    // Detect Name Column for Gender Filter
-    const keywordsName = ['f.i.sh', 'fish', 'ism', 'name', 'familiya'];
-    let nameColKey = null;
-    for (const h of headers) {
-        if (keywordsName.some(k => h.toLowerCase().includes(k))) {
-            nameColKey = h;
-            break;
-        }
-    }
-    // Fallback to col 2 if not found (Col 1 is usually ID)
-    if (!nameColKey && headers.length > 1) {
-        nameColKey = headers[1];
-    }
-    console.log('Detected Name Column Key:', nameColKey);
-
+    console.log('Detected Columns:', columns);
 
     // Trim Headers: Remove trailing empty columns
     let lastNonEmptyIdx = headers.length;
     while (lastNonEmptyIdx > 0 && (!headers[lastNonEmptyIdx - 1] || headers[lastNonEmptyIdx - 1].startsWith('Col'))) {
         lastNonEmptyIdx--;
     }
-    // If we cut off too much (unlikely if header detection is good), ensure we keep up to birth col
-    if (lastNonEmptyIdx < birthColIdx) lastNonEmptyIdx = headers.length;
+    // If we cut off too much (unlikely if header detection is good), ensure we keep up to detected columns
+    const maxRoleIdx = Math.max(...COLUMN_ROLES.map(role => columns[role].index || 0));
+    if (lastNonEmptyIdx < maxRoleIdx) lastNonEmptyIdx = headers.length;
+
+    // Per-doctor / per-uchastka split column (1-based), e.g. "Uchastka", "Shifokor", "Mahalla"
+    const groupColIdx = config.groupColumn ? parseInt(config.groupColumn) : null;
+    if (groupColIdx !== null && !(groupColIdx >= 1 && groupColIdx <= headers.length)) {
+        throw new Error(`Xato: Bo'linish ustuni noto'g'ri: ${config.groupColumn}`);
+    }
 
     const trimmedHeaders = headers.slice(0, lastNonEmptyIdx);
     const trimmedWidths = columnWidths.slice(0, lastNonEmptyIdx);
 
+    // Title block, header / data styles and freeze panes of the source form, repeated on every plan sheet
+    const sourceLayout = readSourceLayout(inputSheet, headerRowIdx, lastNonEmptyIdx);
+    // Optional district form for the month sheets (placeholders checked against the register headers)
+    const outputTemplate = templateBuffer ? await loadTemplate(templateBuffer, trimmedHeaders) : null;
+
     const rowsData = [];
+    const problemRows = []; // Rows left out of the plan: { row, name, reason, value }
+    const gapRows = []; // Planned visits that break the range's visit gap, same shape (also on "Xatolar")
     inputSheet.eachRow((row, rowNumber) => {
         if (rowNumber <= headerRowIdx) return; // Skip Header and Title rows
+        if (isBlankRow(row)) return;
+
+        const problem = findRowProblem(row, birthColIdx, columns.name.index || -1);
+        if (problem) {
+            const nameValue = columns.name.index ? plainValue(row.getCell(columns.name.index).value) : '';
+            problemRows.push({ row: rowNumber, name: rawText(nameValue), ...problem });
+            return;
+        }
 
         const rowObj = {};
         row.eachCell({ includeEmpty: true }, (cell, colNumber) => {
@@ -298,7 +1572,7 @@ async function processExcel(buffer, config) {
                 // FORMATTING FIXES
                 // 1. JSHSHIR / Passport ID -> Force String
                 const lowerKey = key.toLowerCase();
-                if (lowerKey.includes('jshshir') || lowerKey.includes('shaxsiy') || lowerKey.includes('hujjat')) {
+                if (key === jshshirColKey || lowerKey.includes('jshshir') || lowerKey.includes('shaxsiy') || lowerKey.includes('hujjat')) {
                     if (val) val = String(val);
                 }
 
@@ -308,9 +1582,204 @@ async function processExcel(buffer, config) {
 
         const birthCell = row.getCell(birthColIdx);
         rowObj._birthDate = parseDate(birthCell.value);
+        rowObj._address = columns.address.index ? rawText(plainValue(row.getCell(columns.address.index).value)) : '';
+
+        const resolved = resolveGender({
+            gender: genderColKey ? rowObj[genderColKey] : null,
+            jshshir: jshshirColKey ? rowObj[jshshirColKey] : null,
+            name: nameColKey ? rowObj[nameColKey] : null
+        });
+        rowObj._gender = resolved.gender;
+        rowObj._genderSource = resolved.source;
+        rowObj._rowNumber = rowNumber;
+        // Every cell as text for range filters (any column, even without a header)
+        rowObj._cells = [];
+        for (let c = 1; c <= headers.length; c++) rowObj._cells.push(filterText(plainValue(row.getCell(c).value)));
+        if (groupColIdx) rowObj._group = groupLabel(plainValue(row.getCell(groupColIdx).value));
         rowsData.push(rowObj);
     });
 
+    const allRangesRows = [];
+    const warnings = [];
+
+    // A guessed column gives a wrong schedule without any error - say so
+    if (columns.birthDate.confidence === 'low') {
+        warnings.push(`Tug'ilgan sana ustuni aniqlanmadi: "${columns.birthDate.header}" olindi. Ustunlarni tekshiring.`);
+    }
+    if (columns.name.confidence === 'low') {
+        warnings.push(`F.I.SH ustuni aniqlanmadi: "${columns.name.header}" olindi. Ustunlarni tekshiring.`);
+    }
+    if (problemRows.length > 0) {
+        warnings.push(`${problemRows.length} ta qator rejaga kirmadi (Umumiy_Reja.xlsx, "Xatolar" varag'iga qarang).`);
+    }
+
+    // Duplicate Patients: 'flag' (keep all, highlight), 'first' (keep first copy), 'drop' (remove all copies)
+    const duplicatePolicy = config.duplicates || 'flag';
+    const duplicateGroups = findDuplicates(rowsData.map(r => ({
+        row: r._rowNumber,
+        name: nameColKey ? r[nameColKey] : null,
+        jshshir: jshshirColKey ? r[jshshirColKey] : null,
+        birthDate: r._birthDate
+    })));
+
+    const removedRows = duplicateRowsToRemove(duplicateGroups, duplicatePolicy);
+    duplicateGroups.forEach(g => {
+        const by = g.by === 'jshshir' ? 'JSHSHIR' : 'F.I.SH va sana';
+        let action = 'belgilandi';
+        if (duplicatePolicy === 'first') {
+            action = `faqat ${g.rows[0]}-qator qoldirildi`;
+        } else if (duplicatePolicy === 'drop') {
+            action = 'hammasi chiqarildi';
+        }
+        warnings.push(`Takroriy bemor (${by}): ${g.name} ${g.birthDate} — ${g.rows.join(', ')}-qatorlar, ${action}.`);
+    });
+
+    if (duplicatePolicy === 'flag') {
+        const flagged = new Set(duplicateGroups.flatMap(g => g.rows));
+        rowsData.forEach(r => { if (flagged.has(r._rowNumber)) r._isDuplicate = true; });
+    } else if (removedRows.size > 0) {
+        for (let i = rowsData.length - 1; i >= 0; i--) {
+            if (removedRows.has(rowsData[i]._rowNumber)) rowsData.splice(i, 1);
+        }
+    }
+
+    // Last year's plan: keep the interval since each patient's last visit
+    if (previousPlan) {
+        const entries = await readPreviousPlan(previousPlan);
+        const matched = applyPreviousPlan(rowsData, entries, nameColKey, jshshirColKey);
+        warnings.push(`O'tgan yil rejasi: ${matched} ta bemor topildi, ${rowsData.length - matched} ta yangi bemor.`);
+    }
+
+    // Plan period (12 months, may cross into the next calendar year)
+    const period = planPeriod(config);
+
+    // Holiday source: a config.holidays list (the UI always sends its text box, even empty) is used as is,
+    // with config.workingDays, and the built-in calendar is not looked at. Without the list the holidays of
+    // the period's years come from src/calendars, and so do the working days unless config.workingDays is given.
+    if (!Array.isArray(config.holidays)) {
+        const holidays = [];
+        const workingDays = [];
+        [...new Set([period.start.year(), period.end.year()])].forEach(year => {
+            const calendar = getCalendar(year);
+            if (!calendar.known) {
+                warnings.push(`${year}-yil taqvimi topilmadi: faqat doimiy bayramlar olindi, hayit kunlarini qo'lda kiriting.`);
+            }
+            holidays.push(...calendar.holidays.map(h => h.date));
+            workingDays.push(...calendar.workingDays.map(d => d.date));
+        });
+        config = { ...config, holidays, workingDays: Array.isArray(config.workingDays) ? config.workingDays : workingDays };
+    }
+
+    // Working days: weekdays, holidays, transfers, sanitary days and closures (validated before any file is written)
+    const workPattern = buildWorkPattern(config);
+
+    config.ranges.forEach((range, rangeIdx) => {
+        validateFilters(range.filters, headers.length, rangeLabel(range, rangeIdx));
+        validateFilters(range.priority, headers.length, `${rangeLabel(range, rangeIdx)} ustuvorlik`);
+        if (range.priorityMatch && !['any', 'all'].includes(range.priorityMatch)) {
+            throw new Error(`Xato: ${rangeLabel(range, rangeIdx)}: ustuvorlik sharti noto'g'ri: ${range.priorityMatch}`);
+        }
+    });
+
+    // Overlapping Ranges: every patient goes to exactly one range
+    const overlapPolicy = config.overlapPolicy || 'first';
+    const pairCounts = assignRanges(rowsData, config.ranges, overlapPolicy, period);
+
+    // Ranges with column filters only overlap where a patient passes both filters
+    const hasFilters = range => Array.isArray(range.filters) && range.filters.length > 0;
+    const overlaps = findRangeOverlaps(config.ranges, period).filter(o =>
+        !(hasFilters(config.ranges[o.a]) || hasFilters(config.ranges[o.b])) || pairCounts[`${o.a}-${o.b}`] > 0);
+    if (overlapPolicy === 'error' && overlaps.length > 0) {
+        const list = overlaps.map(o => `${rangeLabel(config.ranges[o.a], o.a)} va ${rangeLabel(config.ranges[o.b], o.b)}`);
+        throw new Error(`Xato: Oraliqlar kesishadi: ${list.join('; ')}`);
+    }
+
+    overlaps.forEach(o => {
+        const affected = pairCounts[`${o.a}-${o.b}`] || 0;
+        const resolution = overlapPolicy === 'specific' ? "torroq oraliqqa berildi" : "birinchi mos oraliqqa berildi";
+        warnings.push(`Oraliqlar ${rangeLabel(config.ranges[o.a], o.a)} va ${rangeLabel(config.ranges[o.b], o.b)} kesishadi (${o.from}-${o.to}): ${affected} ta bemor ${resolution}.`);
+    });
+
+    // Appointment time slots (validated before any file is written)
+    const timeSlots = buildTimeSlots(config.timeSlots);
+
+    // Patient order per range; a random order without a seed gets one, returned so the plan can be reproduced
+    const seeds = config.ranges.map((range, rangeIdx) => {
+        const order = range.order || 'source';
+        if (!PATIENT_ORDERS.includes(order)) {
+            throw new Error(`Xato: ${rangeLabel(range, rangeIdx)} uchun tartib noto'g'ri: ${order}`);
+        }
+        if (order !== 'random') return null;
+        const seed = parseInt(range.seed);
+        return Number.isInteger(seed) ? seed : Math.floor(Math.random() * 1000000);
+    });
+    if (config.ranges.some(r => r.order === 'address') && !columns.address.index) {
+        warnings.push("Manzil ustuni topilmadi: manzil bo'yicha tartib qo'llanmadi.");
+    }
+
+    // Groups (doctors / uchastkas); without a split column the whole register is one group
+    const groups = groupColIdx
+        ? [...new Set(rowsData.map(r => r._group))].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+        : [null];
+
+    // Folder per group; values that clean to the same name ("U/1", "U:1") get a number, so no file is overwritten
+    const groupFolders = new Map();
+    const usedFolders = new Set();
+    groups.forEach(group => {
+        if (group === null) return;
+        const base = safeFileName(group);
+        let folder = base;
+        for (let n = 2; usedFolders.has(folder.toLowerCase()); n++) folder = `${base}_${n}`;
+        usedFolders.add(folder.toLowerCase());
+        groupFolders.set(group, folder);
+    });
+
+    // Own daily capacity of doctors / uchastkas: { "U1": 12, ... }, others use the common one
+    if (config.groupCapacity && groupColIdx) {
+        if (typeof config.groupCapacity !== 'object' || Array.isArray(config.groupCapacity)) {
+            throw new Error("Xato: Guruhlar sig'imi noto'g'ri.");
+        }
+        Object.entries(config.groupCapacity).forEach(([group, val]) => {
+            if (val === null || val === '') return;
+            if (!(parseInt(val) > 0)) throw new Error(`Xato: "${group}" sig'imi noto'g'ri: ${val}`);
+            if (!groups.includes(group)) warnings.push(`"${group}" guruhi registrda yo'q: uning sig'imi olinmadi.`);
+        });
+    }
+
+    // Check plans against population for the whole range, then share monthly counts between groups
+    const groupCounts = config.ranges.map((range, rangeIdx) => {
+        // Validate before any file is written
+        rangeGaps(range, rangeIdx);
+        rangeVisitCount(range);
+        if (range.schedule === 'months') parseVisitMonths(range.visitMonths, period);
+        if (range.cycleStart && !CYCLE_STARTS.includes(range.cycleStart)) {
+            throw new Error(`Xato: Tashriflar boshlanishi noto'g'ri: ${range.cycleStart}`);
+        }
+        const rangePatients = rowsData.filter(r => r._rangeIndexes.includes(rangeIdx));
+        const totalPatients = rangePatients.length;
+        const totalPlanned = range.counts.reduce((a, b) => a + b, 0);
+
+        if (totalPatients === 0) {
+            warnings.push(`${rangeTitle(range)} (Jins: ${range.gender || 'all'}): Aholi topilmadi.`);
+        } else if (!rangeProcessesAll(range)) {
+            if (totalPlanned > totalPatients) {
+                throw new Error(`Xato: ${rangeTitle(range)} oralig'ida reja (${totalPlanned}) aholi sonidan (${totalPatients}) ko'p!`);
+            }
+            if (totalPlanned < totalPatients) {
+                warnings.push(`${rangeTitle(range)}: Reja (${totalPlanned}) aholi sonidan (${totalPatients}) kam.`);
+            }
+        }
+
+        if (!groupColIdx) return [range.counts];
+        return splitCounts(range.counts, groups.map(g => rangePatients.filter(r => r._group === g).length));
+    });
+
+    // Day lists need a Unicode font: built-in PDF fonts would garble Cyrillic names and '№'
+    const pdfFonts = config.pdfDayLists ? pickFonts() : null;
+    if (config.pdfDayLists && !pdfFonts) {
+        warnings.push("PDF kunlik ro'yxatlar yaratilmadi: kirill harflarini chiqaradigan shrift (masalan, DejaVu Sans) serverda topilmadi. Shrift o'rnating yoki PDF_FONT da TTF fayl yo'lini ko'rsating.");
+    }
+
     const zipName = `Schedules_${Date.now()}.zip`;
     const zipPath = path.join(__dirname, '../dist', zipName);
     const outputStream = fs.createWriteStream(zipPath);
@@ -318,109 +1787,311 @@ async function processExcel(buffer, config) {
 
     archive.pipe(outputStream);
 
-    const allRangesRows = [];
-    const warnings = [];
+    // Calendar events of a range file. UID: patient (JSHSHIR, else name + birth date) + file + visit number
+    // + plan period start (targetYear and startMonth), so next year's plan does not replace this year's events
+    const planKey = period.start.format('YYYY-MM');
+    const birthKey = trimmedHeaders[birthColIdx - 1];
+    const visitEvents = (rows, visitKeys, fileName) => {
+        const events = [];
+        rows.forEach(row => {
+            const name = nameColKey ? rawText(row[nameColKey]).trim() : '';
+            const jshshir = jshshirColKey ? rawText(row[jshshirColKey]).replace(/\s/g, '') : '';
+            const birth = birthKey && row[birthKey] instanceof Date ? dayjs(row[birthKey]).format('DD.MM.YYYY') : '';
+            const patientId = jshshir || `${normalizeName(name)} ${birth}`.trim() || `${row._rowNumber}-qator`;
+            const shownId = jshshir || (idColKey ? rawText(row[idColKey]) : '');
+            const label = name || `${row._rowNumber}-qator`;
+
+            visitKeys.forEach((key, idx) => {
+                if (!(row[key] instanceof Date)) return;
+                const details = [key];
+                if (birth) details.push(`Tug'ilgan sana: ${birth}`);
+                if (row._address) details.push(`Manzil: ${row._address}`);
+                events.push({
+                    uid: eventUid(patientId, fileName, idx + 1, planKey),
+                    start: dayjs(row[key]),
+                    minutes: timeSlots ? parseInt(config.timeSlots.slotMinutes) : null,
+                    summary: shownId ? `${label} (${shownId})` : label,
+                    description: details.join('\n')
+                });
+            });
+        });
+        return events;
+    };
+
+    // Day lists for the PDF: visits of the rows grouped by day, in time (or sheet) order
+    const dayLists = (rows, visitKeys, timeKeys) => {
+        const byDay = new Map(); // 'YYYY-MM-DD' -> { date, rows }
+        rows.forEach(row => visitKeys.forEach((key, idx) => {
+            if (!(row[key] instanceof Date)) return;
+            const date = dayjs(row[key]);
+            const dayKey = date.format('YYYY-MM-DD');
+            if (!byDay.has(dayKey)) byDay.set(dayKey, { date: date.startOf('day'), rows: [] });
+            byDay.get(dayKey).rows.push({
+                name: nameColKey ? rawText(row[nameColKey]) : `${row._rowNumber}-qator`,
+                birthDate: birthKey && row[birthKey] instanceof Date ? dayjs(row[birthKey]).format('DD.MM.YYYY') : '',
+                address: row._address || '',
+                time: typeof row[timeKeys[idx]] === 'number' ? date.format('HH:mm') : ''
+            });
+        }));
+        return [...byDay.keys()].sort().map(dayKey => {
+            const day = byDay.get(dayKey);
+            day.rows.sort((a, b) => a.time.localeCompare(b.time));
+            return day;
+        });
+    };
+
+    // Visits booked per day: shared by all ranges of a group, each group (doctor) has its own capacity
+    const dayLoads = new Map();
+    // Visits per group per month for the summary sheet
+    const groupVisits = new Map();
 
     // Determine Global Max Visits for Consolidated Sheet
     let maxVisitsGlobal = 1;
     config.ranges.forEach(r => {
-        if ((r.visitCount || 1) > maxVisitsGlobal) maxVisitsGlobal = r.visitCount || 1;
+        if (rangeVisitCount(r) > maxVisitsGlobal) maxVisitsGlobal = rangeVisitCount(r);
     });
 
-    // Helper: Determine Gender
-    // Returns 'female' if first word ends in 'a' (Case Insensitive), else 'male'
-    function getGender(row) {
-        if (!nameColKey) return 'male'; // Default
-        const storedVal = row[nameColKey];
-        if (!storedVal) return 'male';
-
-        const valStr = String(storedVal).trim();
-        // Take First Word (Surname usually)
-        const firstWord = valStr.split(' ')[0];
-        if (!firstWord) return 'male';
+    // Process each range (of each group)
+    const planUnits = [];
+    groups.forEach((group, groupIdx) => {
+        config.ranges.forEach((range, rangeIdx) => planUnits.push({ group, groupIdx, range, rangeIdx }));
+    });
 
-        if (firstWord.toLowerCase().endsWith('a')) return 'female';
-        return 'male';
-    }
+    for (const { group, groupIdx, range, rangeIdx } of planUnits) {
+        if (!dayLoads.has(group)) dayLoads.set(group, createDayLoad(groupDayLoadConfig(config, group)));
+        const dayLoad = dayLoads.get(group);
+        const unitTitle = group === null ? rangeTitle(range) : `${group} / ${rangeTitle(range)}`;
+        const rangeCounts = groupCounts[rangeIdx][groupIdx];
 
-    // Process each range
-    for (const range of config.ranges) {
-        const visitCount = range.visitCount || 1;
+        // "By age offsets" schedule: one visit column per offset (3 kunlik, 1 oylik, ...)
+        const ageOffsets = range.schedule === 'ageOffsets' ? parseAgeOffsets(range.ageOffsets) : null;
+        // "Visits in these months" schedule: plan months (0-11) of every visit
+        const visitMonths = range.schedule === 'months' ? parseVisitMonths(range.visitMonths, period) : null;
+        const visitCount = ageOffsets ? ageOffsets.length : rangeVisitCount(range);
 
         // Dynamic Range Headers - REMOVED 'Tashrif oyi'
         let rangeHeaders = [...trimmedHeaders];
         let visitKeys = [];
 
-        if (visitCount === 1) {
-            rangeHeaders.push('Tashrif sanasi');
+        if (ageOffsets) {
+            ageOffsets.forEach(o => visitKeys.push(`${o.label} tashrif`));
+        } else if (visitCount === 1) {
             visitKeys.push('Tashrif sanasi');
         } else {
             for (let v = 1; v <= visitCount; v++) {
-                rangeHeaders.push(`${v}-tashrif sanasi`);
                 visitKeys.push(`${v}-tashrif sanasi`);
             }
         }
+        // Time Slots: time column right after each visit date
+        const timeKeys = timeSlots ? visitKeys.map(timeKeyFor) : [];
 
         // Extend widths - REMOVED 15 for 'Tashrif oyi'
         const rangeColWidths = [...trimmedWidths];
-        visitKeys.forEach(() => rangeColWidths.push(15));
-
-        const rangePatients = rowsData.filter(r => {
-            if (!r._birthDate.isValid()) return false;
-            const y = r._birthDate.year();
-            if (y < 1900) return false;
-
-            // Year Filter
-            if (y < range.startYear || y > range.endYear) return false;
-
-            // Gender Filter
-            if (range.gender && range.gender !== 'all') {
-                const detectedGender = getGender(r);
-                if (detectedGender !== range.gender) return false;
+        visitKeys.forEach((key, idx) => {
+            rangeHeaders.push(key);
+            rangeColWidths.push(15);
+            if (timeSlots) {
+                rangeHeaders.push(timeKeys[idx]);
+                rangeColWidths.push(10);
             }
-
-            return true;
         });
 
+        const rangePatients = rowsData.filter(r => r._rangeIndexes.includes(rangeIdx) && (group === null || r._group === group));
+
         const totalPatients = rangePatients.length;
 
-        // AUTO PLAN Logic for > 1 visit (or manually provided counts)
-        // If visitCount > 1, we ignore 'counts' validation and process ALL patients
-        let processAll = false;
+        // AUTO PLAN Logic for > 1 visit, Birthday Mode or Age Offsets: process ALL patients
+        // (plan vs population was checked per range above)
+        let processAll = rangeProcessesAll(range);
 
-        // If Birthday Mode is ON, we definitely process all
-        if (range.useBirthday) processAll = true;
-        else if (visitCount > 1) processAll = true;
+        if (totalPatients === 0) continue;
 
+        // Create Output Workbook
+        const outWb = new ExcelJS.Workbook();
+        // Filtered ranges may share years and gender: the range number keeps their files apart
+        const rangeSuffix = hasFilters(range) ? `_${rangeIdx + 1}` : '';
+        let rangeName = range.type === 'age'
+            ? `${rangeTitle(range).replace(' ', '_')}_${range.gender || 'all'}${rangeSuffix}.xlsx`
+            : `${range.endYear}-${range.startYear}_${range.gender || 'all'}${rangeSuffix}.xlsx`;
+        if (group !== null) rangeName = `${groupFolders.get(group)}/${rangeName}`;
+        const rangeAllRows = [];
+        const sheetRows = []; // Rows of the month sheets, for the PDF day lists
+
+        // Month sheet: the uploaded template form, or the register layout
+        const writeMonthSheet = (m, monthRows) => {
+            const sheet = outWb.addWorksheet(monthSheetName(period, m));
+            if (outputTemplate) {
+                const fields = {
+                    month: MONTH_NAMES[period.months[m].month()],
+                    year: period.months[m].year(),
+                    targetYear: config.targetYear,
+                    range: rangeTitle(range),
+                    group: group === null ? '' : group,
+                    clinicName: config.clinicName || '',
+                    count: monthRows.length,
+                    date: dayjs().format('DD.MM.YYYY')
+                };
+                fillTemplate(sheet, outputTemplate, fields, monthRows, { visitKeys, timeKeys }, rowFill);
+            } else {
+                templateHeaderStyle.font = { name: 'Times New Roman', size: 11, bold: true };
+                applyTemplateStyles(sheet, rangeHeaders, rangeColWidths, templateHeaderStyle, sourceLayout);
+                monthRows.forEach(row => addDataRow(sheet, rangeHeaders, row, timeKeys, sourceLayout));
+            }
+            sheetRows.push(...monthRows);
+        };
 
-        const totalPlanned = range.counts.reduce((a, b) => a + b, 0);
+        let patientPool = orderPatients(rangePatients, range.order || 'source', seeds[rangeIdx]);
 
-        if (totalPatients === 0) {
-            warnings.push(`${range.startYear}-${range.endYear} (Jins: ${range.gender || 'all'}): Aholi topilmadi.`);
-            continue;
+        // Risk groups (range.priority rules, any of them by default): first months, early days, own fill.
+        // Set on every pass, since a row can be in several ranges.
+        const hasPriority = Array.isArray(range.priority) && range.priority.length > 0;
+        rangePatients.forEach(p => {
+            p._isPriority = hasPriority && matchesFilters(p._cells, range.priority, range.priorityMatch || 'any');
+        });
+        if (hasPriority) {
+            const high = patientPool.filter(p => p._isPriority);
+            patientPool = [...high, ...patientPool.filter(p => !p._isPriority)];
+            if (high.length > 0) {
+                warnings.push(`${unitTitle}: ${high.length} ta ustuvor bemor (yuqori xavf) birinchi navbatda rejalashtirildi.`);
+            } else {
+                warnings.push(`${unitTitle}: ustuvorlik filtriga hech bir bemor mos kelmadi, ustuvor bemor yo'q.`);
+            }
         }
+        const planned = new Set(); // Patients who got a visit in this range
 
-        if (!processAll) {
-            if (totalPlanned > totalPatients) {
-                throw new Error(`Xato: ${range.startYear}-${range.endYear} oralig'ida reja (${totalPlanned}) aholi sonidan (${totalPatients}) ko'p!`);
+        // Age ranges: dates of the target year when each patient fits the range
+        const ageWindows = new Map();
+        if (range.type === 'age') {
+            patientPool.forEach(p => ageWindows.set(p, ageWindow(range, p._birthDate, period)));
+        }
+        const inAgeWindow = (p, date) => {
+            const w = ageWindows.get(p);
+            return !w || (!date.isBefore(w.from, 'day') && !date.isAfter(w.to, 'day'));
+        };
+
+        // Next patients in pool order that are not planned yet (and fit, if a test is given)
+        // Book one visit: working day inside the age window, next free day if that day is full
+        const scheduleVisit = (p, date) => {
+            const d = findNextWorkingDay(date, workPattern);
+            if (!d || !inAgeWindow(p, d)) return null;
+            const w = ageWindows.get(p);
+            return dayLoad.book(d, w ? w.to : null);
+        };
+        const unmetBefore = dayLoad.unmet;
+        // Patients the daily capacity left without any visit: Xatolar rows with their own reason
+        const capacityDropped = new Set();
+
+        // Visits of one patient, aligned with dates. With minGap / maxGap every visit stays within
+        // [previous + minGap, previous + maxGap] days, searching forward and then backward from its date.
+        const { minGap, maxGap } = rangeGaps(range, rangeIdx);
+        const gapProblems = [];
+        const scheduleVisits = (p, dates) => {
+            if (!minGap && !maxGap) return dates.map(d => scheduleVisit(p, d));
+
+            const order = dates.map((_, i) => i).sort((a, b) => dates[a].valueOf() - dates[b].valueOf());
+            const result = dates.map(() => null);
+            const w = ageWindows.get(p);
+            let prev = null;
+            order.forEach(i => {
+                if (!prev) {
+                    result[i] = scheduleVisit(p, dates[i]);
+                    if (result[i]) prev = result[i];
+                    return;
+                }
+                const lo = prev.startOf('day').add(minGap || 1, 'day');
+                let hi = maxGap ? prev.startOf('day').add(maxGap, 'day') : period.end;
+                if (w && w.to.isBefore(hi, 'day')) hi = w.to;
+                const notBefore = w && w.from.isAfter(lo, 'day') ? w.from : lo;
+                let want = dates[i].isBefore(notBefore, 'day') ? notBefore : dates[i];
+                if (want.isAfter(hi, 'day')) want = hi;
+
+                let d = notBefore.isAfter(hi, 'day') ? null : dayLoad.bookWithin(want, notBefore, hi);
+                if (!d) {
+                    // Constraint can't be met: keep the plain date and report it
+                    d = scheduleVisit(p, dates[i]);
+                    gapProblems.push({ p, prev, want: dates[i], got: d });
+                }
+                result[i] = d;
+                if (d) prev = d;
+            });
+            return result;
+        };
+
+        // Write visit idx: date column, and the slot time as an Excel time value
+        const setVisit = (row, idx, date) => {
+            row[visitKeys[idx]] = date.toDate();
+            if (timeSlots) row[timeKeys[idx]] = (date.hour() * 60 + date.minute()) / 1440;
+        };
+
+        const takeFromPool = (count, fits) => {
+            const taken = [];
+            for (const p of patientPool) {
+                if (taken.length >= count) break;
+                if (planned.has(p) || (fits && !fits(p))) continue;
+                planned.add(p);
+                taken.push(p);
             }
-            if (totalPlanned < totalPatients) {
-                warnings.push(`${range.startYear}-${range.endYear}: Reja (${totalPlanned}) aholi sonidan (${totalPatients}) kam.`);
+            return taken;
+        };
+
+        // Monthly sheets for timeline modes: patients listed in the month of their first visit
+        const renderMonthSheets = (patientsByMonth) => {
+            for (let m = 0; m < 12; m++) {
+                const pList = patientsByMonth[m];
+                if (pList.length === 0) continue;
+
+                let mId = 1;
+                writeMonthSheet(m, pList.map(r => {
+                    const rowData = { ...r };
+                    if (idColKey) rowData[idColKey] = mId++;
+                    return rowData;
+                }));
             }
-        }
+        };
 
-        // Create Output Workbook
-        const outWb = new ExcelJS.Workbook();
-        const rangeName = `${range.endYear}-${range.startYear}_${range.gender || 'all'}.xlsx`;
-        const rangeAllRows = [];
+        // ---------------------------------------------------------
+        // LOGIC C: Age Offsets (Patronage / Immunization Calendar)
+        // ---------------------------------------------------------
+        if (ageOffsets) {
+            // Each visit is birth date + offset, moved to a working day,
+            // kept only if it falls in the plan period.
+            const patientsByMonth = Array.from({ length: 12 }, () => []);
+            const birthKey = trimmedHeaders[birthColIdx - 1];
+
+            patientPool.forEach(p => {
+                const pRow = { ...p };
+                if (birthKey) pRow[birthKey] = p._birthDate.toDate();
+                delete pRow._birthDate;
+
+                let firstVisit = null;
+                const dueDates = ageOffsets.map(o => findNextWorkingDay(p._birthDate.add(o.value, o.unit), workPattern));
+                const inPeriodIdx = ageOffsets.map((_, idx) => idx).filter(idx => dueDates[idx] && inPeriod(period, dueDates[idx]));
+                const unmetBeforePatient = dayLoad.unmet;
+                const booked = scheduleVisits(p, inPeriodIdx.map(idx => dueDates[idx]));
+                inPeriodIdx.forEach((idx, k) => {
+                    const d = booked[k];
+                    if (!d) return;
+
+                    setVisit(pRow, idx, d);
+                    if (!firstVisit || d.isBefore(firstVisit)) firstVisit = d;
+                });
+                if (!firstVisit) {
+                    // No visit in the target year - left unplanned
+                    if (dayLoad.unmet > unmetBeforePatient) capacityDropped.add(p);
+                    return;
+                }
 
-        let patientPool = [...rangePatients];
-        let pIndex = 0;
+                planned.add(p);
+                rangeAllRows.push(pRow);
+                patientsByMonth[periodMonthIndex(period, firstVisit)].push(pRow);
+            });
 
+            renderMonthSheets(patientsByMonth);
+        }
         // ---------------------------------------------------------
         // LOGIC A: Birthday Mode (Specific Date Scheduling)
         // ---------------------------------------------------------
-        if (range.useBirthday) {
+        else if (range.useBirthday) {
             // We don't loop by month counts. We simply iterate ALL patients and generate their timeline.
             // We can dump them all into one sheet or split by birth month?
             // Requirement says "months" output usually implies monthly sheets.
@@ -478,6 +2149,10 @@ async function processExcel(buffer, config) {
 
             processAll = true; // Ensure we don't slice pool
 
+            // range.cycleStart: 'period' (default) - everyone's cycle starts with the plan period,
+            // 'birthMonth' - each patient's cycle starts in their birth month
+            const fromBirthMonth = range.cycleStart === 'birthMonth' && !visitMonths;
+
             const patientsByMonth = Array.from({ length: 12 }, () => []);
 
             patientPool.forEach(p => {
@@ -493,36 +2168,44 @@ async function processExcel(buffer, config) {
                 // If born 7th. Visit 7th of Jan, 7th of Feb...
 
                 const interval = 12 / visitCount;
+                // Cycle start: the period start (usually Jan), or the patient's own birth month
+                const cycleStart = fromBirthMonth ? (birthMonth - period.start.month() + 12) % 12 : 0;
 
                 for (let v = 0; v < visitCount; v++) {
-                    // Month index: (0 + v*interval) ? 
-                    // Or should we start from Birth Month?
-                    // Usually "Annual Plan" = Jan-Dec.
-                    // So we start Jan.
-
-                    let targetMonth = Math.floor(0 + v * interval); // 0, 1, 2... for 12 visits
-                    // If visit count 4 (interval 3): 0, 3, 6, 9 (Jan, Apr, Jul, Oct)
-
-                    // Construct Date
-                    // Watch out for Feb 30 etc.
-                    let d = dayjs().year(config.targetYear).month(targetMonth).date(birthDay);
-
-                    // If invalid (e.g. Feb 30 -> March 2 automatically by dayjs? No, dayjs handles overflow typically)
-                    // dayjs('2026-02-31') -> ?
-                    // Better check end of month
-                    const daysInMonth = dayjs().year(config.targetYear).month(targetMonth).daysInMonth();
-                    if (birthDay > daysInMonth) {
-                        d = dayjs().year(config.targetYear).month(targetMonth).date(daysInMonth);
+                    // Position in months from the period start: 0, 1, 2... for 12 visits,
+                    // 0, 2.4, 4.8... for 5 visits; explicit visit months are taken as they are
+                    let position = visitMonths ? visitMonths[v] : cycleStart + v * interval;
+                    if (position >= 12) {
+                        // Past the period end: wraps to its beginning, "no wrap" leaves it to the next plan
+                        if (config.noWrap) continue;
+                        position -= 12;
                     }
+                    const targetMonth = Math.floor(position);
+                    // If visit count 4 (interval 3): 0, 3, 6, 9 (Jan, Apr, Jul, Oct) - counted from the period start;
+                    // born in March: 2, 5, 8, 11 (Mar, Jun, Sep, Dec)
 
-                    // Adjust Working Day
-                    d = findNextWorkingDay(d, config.holidays || [], config.saturdayWorking);
+                    // Construct Date
+                    // Watch out for Feb 30 etc.: short months take their last day
+                    const monthStart = period.months[targetMonth];
+                    const daysInMonth = monthStart.daysInMonth();
+                    const d = monthStart.date(Math.min(birthDay, daysInMonth))
+                        .add(Math.round((position - targetMonth) * daysInMonth), 'day');
 
                     generatedDates.push(d);
                 }
 
+                // Adjust Working Day (and Daily Capacity, visit gaps); visits outside the age window are dropped
+                const unmetBeforePatient = dayLoad.unmet;
+                generatedDates = scheduleVisits(p, generatedDates).filter(d => d);
+
                 // Sort
                 generatedDates.sort((a, b) => a.valueOf() - b.valueOf());
+                if (generatedDates.length === 0) {
+                    // Left unplanned
+                    if (dayLoad.unmet > unmetBeforePatient) capacityDropped.add(p);
+                    return;
+                }
+                planned.add(p);
 
                 const pRow = { ...p };
                 if (trimmedHeaders[birthColIdx - 1]) {
@@ -533,7 +2216,7 @@ async function processExcel(buffer, config) {
                 // Add dates to row
                 generatedDates.forEach((date, idx) => {
                     if (idx < visitCount) {
-                        pRow[visitKeys[idx]] = date.toDate();
+                        setVisit(pRow, idx, date);
                     }
                 });
 
@@ -541,41 +2224,11 @@ async function processExcel(buffer, config) {
 
                 // Determine which "Sheet" to put them in.
                 // Let's put them in the sheet of the FIRST visit.
-                const firstMonth = generatedDates[0].month(); // 0-11
+                const firstMonth = periodMonthIndex(period, generatedDates[0]); // 0-11
                 patientsByMonth[firstMonth].push(pRow);
             });
 
-            // Mark all encountered as processed
-            pIndex = patientPool.length;
-
-            // Render Monthly Sheets
-            for (let m = 0; m < 12; m++) {
-                const pList = patientsByMonth[m];
-                if (pList.length === 0) continue;
-
-                const sheet = outWb.addWorksheet(MONTH_NAMES[m]);
-                templateHeaderStyle.font = { name: 'Times New Roman', size: 11, bold: true };
-                applyTemplateStyles(sheet, rangeHeaders, rangeColWidths, templateHeaderStyle);
-
-                let mId = 1;
-                const borderStyle = { top: { style: 'thin' }, left: { style: 'thin' }, bottom: { style: 'thin' }, right: { style: 'thin' } };
-
-                pList.forEach(r => {
-                    const rowData = { ...r };
-                    if (idColKey) rowData[idColKey] = mId++;
-
-                    const values = rangeHeaders.map(h => rowData[h]);
-                    const newRow = sheet.addRow(values);
-                    for (let c = 1; c <= rangeHeaders.length; c++) {
-                        const cell = newRow.getCell(c);
-                        cell.border = borderStyle;
-                        cell.font = { name: 'Times New Roman', size: 11 };
-                        cell.alignment = { wrapText: true, vertical: 'middle', horizontal: 'left' };
-                        if (cell.value instanceof Date) cell.numFmt = 'dd.mm.yyyy';
-                    }
-                });
-            }
-
+            renderMonthSheets(patientsByMonth);
         }
         // ---------------------------------------------------------
         // LOGIC B: Standard Logic (Distribution)
@@ -589,7 +2242,21 @@ async function processExcel(buffer, config) {
             // OR we just dump everyone in Jan?
             // Better: Uniform Distribution across 12 months for the "First Visit".
 
-            let countsToUse = range.counts;
+            // Last year's plan: first visit not before last visit + interval (null - overdue, as early as possible).
+            // Explicit visit months are fixed, so they don't use it.
+            const dueDates = new Map();
+            patientPool.forEach(p => {
+                if (!p._lastVisit || visitMonths) return;
+                const due = visitOffsetDate(p._lastVisit, 1, visitCount);
+                dueDates.set(p, due.isBefore(period.start, 'day') ? null : due);
+            });
+            const dueMonth = p => {
+                const due = dueDates.get(p);
+                if (!due) return 0;
+                return due.isAfter(period.end, 'day') ? 11 : periodMonthIndex(period, due);
+            };
+
+            let countsToUse = rangeCounts;
             if (processAll) {
                 // Distribute totalPatients across 12 months
                 const base = Math.floor(totalPatients / 12);
@@ -598,24 +2265,64 @@ async function processExcel(buffer, config) {
                 for (let i = 0; i < 12; i++) {
                     countsToUse.push(i < rem ? base + 1 : base);
                 }
+
+                // Explicit visit months: everyone starts in the first of them
+                if (visitMonths) {
+                    countsToUse = Array(12).fill(0);
+                    countsToUse[visitMonths[0]] = totalPatients;
+                }
+
+                // Carried patients stay in their due month; new patients go to months with the most spare room
+                if (dueDates.size > 0) {
+                    const spare = [...countsToUse];
+                    countsToUse = Array(12).fill(0);
+                    dueDates.forEach((due, p) => {
+                        countsToUse[dueMonth(p)]++;
+                        spare[dueMonth(p)]--;
+                    });
+                    for (let n = totalPatients - dueDates.size; n > 0; n--) {
+                        const m = spare.indexOf(Math.max(...spare));
+                        countsToUse[m]++;
+                        spare[m]--;
+                    }
+                }
             }
 
+            // Patients not yet of age (age ranges) or not fitting the month's capacity move the quota forward
+            let carry = 0;
+            let cutByCapacity = false;
+            // Rows by the month their first visit really falls in (a full day, due date
+            // or age window can move it past the month it was taken for)
+            const rowsByMonth = Array.from({ length: 12 }, () => []);
+
             // Proceed with Standard Month Loop
             for (let m = 0; m < 12; m++) {
-                const targetCount = countsToUse[m] || 0;
+                const targetCount = (countsToUse[m] || 0) + carry;
+                carry = targetCount;
                 if (targetCount === 0) continue;
 
-                const workingDays = getWorkingDays(config.targetYear, m, config.holidays || [], config.saturdayWorking);
+                const workingDays = getWorkingDays(period.months[m].year(), period.months[m].month(), workPattern);
                 if (workingDays.length === 0) continue;
 
-                const patientsForMonth = [];
-                for (let i = 0; i < targetCount; i++) {
-                    if (pIndex < patientPool.length) {
-                        patientsForMonth.push(patientPool[pIndex]);
-                        pIndex++;
-                    } else break;
-                }
+                const monthStart = workingDays[0];
+                const monthEnd = workingDays[workingDays.length - 1];
+
+                // Daily Capacity: no more first visits than the month has free room
+                const monthRoom = workingDays.reduce((sum, d) => sum + dayLoad.room(d), 0);
+                if (monthRoom < targetCount) cutByCapacity = true;
+
+                const ageFits = p => {
+                    const w = ageWindows.get(p);
+                    return !w || (!w.from.isAfter(monthEnd, 'day') && !w.to.isBefore(monthStart, 'day'));
+                };
+                // Patients due from last year's plan first, then new patients; not yet due ones wait
+                const monthLimit = Math.min(targetCount, monthRoom);
+                const patientsForMonth = takeFromPool(monthLimit, p => dueDates.has(p) && dueMonth(p) <= m && ageFits(p));
+                patientsForMonth.push(...takeFromPool(monthLimit - patientsForMonth.length, p => !dueDates.has(p) && ageFits(p)));
+                carry = targetCount - patientsForMonth.length;
                 if (patientsForMonth.length === 0) continue;
+                // High-priority patients take the early days of the month
+                patientsForMonth.sort((a, b) => b._isPriority - a._isPriority);
 
                 // Format Birth Date logic
                 const birthKey = trimmedHeaders[birthColIdx - 1];
@@ -623,17 +2330,13 @@ async function processExcel(buffer, config) {
                 // Distribute
                 const N = patientsForMonth.length;
                 const D = workingDays.length;
-                const base = Math.floor(N / D);
-                const remainder = N % D;
+                const dayCounts = spreadOverDays(N, workingDays, dayLoad);
 
                 let currentPatientIdx = 0;
-                const monthlyRows = [];
-
-                let monthlyIdCounter = 1;
 
                 for (let d = 0; d < D; d++) {
                     const dayDate = workingDays[d];
-                    const countForDay = d < remainder ? base + 1 : base;
+                    const countForDay = dayCounts[d];
 
                     for (let k = 0; k < countForDay; k++) {
                         if (currentPatientIdx >= patientsForMonth.length) break;
@@ -647,72 +2350,122 @@ async function processExcel(buffer, config) {
                         }
                         delete outRow._birthDate;
 
-                        // Renumber ID
-                        if (idColKey) {
-                            outRow[idColKey] = monthlyIdCounter++;
+                        // Age ranges: first visit not before the patient is of age
+                        let firstDate = dayDate;
+                        const w = ageWindows.get(p);
+                        if (w && firstDate.isBefore(w.from, 'day')) {
+                            firstDate = findNextWorkingDay(w.from, workPattern) || w.from;
+                        }
+                        // Last year's plan: keep the interval since the last visit
+                        const due = dueDates.get(p);
+                        if (due && firstDate.isBefore(due, 'day') && !due.isAfter(period.end, 'day')) {
+                            firstDate = due;
                         }
 
                         // --- MULTI-VISIT CIRCULAR LOGIC START ---
-                        let generatedDates = [dayDate];
-
-                        if (visitCount > 1) {
-                            const interval = 12 / visitCount;
+                        let generatedDates = [firstDate];
+
+                        if (visitMonths) {
+                            // Same day of month in each of the chosen months
+                            visitMonths.slice(1).forEach(k => {
+                                const nextDate = firstDate.add(k - visitMonths[0], 'month');
+                                if (!nextDate.isAfter(period.end, 'day')) generatedDates.push(nextDate);
+                            });
+                        } else if (visitCount > 1) {
                             for (let v = 1; v < visitCount; v++) {
-                                // Add interval
-                                let nextDate = dayDate.add(interval * v, 'month');
-                                // Ensure within target year (Circular)
-                                if (nextDate.year() > config.targetYear) {
+                                // Add interval (whole months, or evenly spaced days for counts like 5 or 7)
+                                let nextDate = visitOffsetDate(firstDate, v, visitCount);
+                                // Ensure within plan period (Circular); "no wrap" keeps visits in order
+                                // and leaves those after the period to the next plan
+                                if (nextDate.isAfter(period.end, 'day')) {
+                                    if (config.noWrap) continue;
                                     nextDate = nextDate.subtract(1, 'year');
                                 }
                                 generatedDates.push(nextDate);
                             }
                         }
 
+                        // Validate Working Days and Daily Capacity (first visit booked first);
+                        // age ranges keep only visits when the patient is of that age
+                        const unmetBeforePatient = dayLoad.unmet;
+                        const booked = scheduleVisits(p, generatedDates);
+                        const firstBooked = booked[0];
+                        generatedDates = booked.filter(d => d);
+
                         // Sort Dates (Jan -> Dec) because we wrapped around
                         generatedDates.sort((a, b) => a.valueOf() - b.valueOf());
 
-                        // Validate Working Days
-                        generatedDates = generatedDates.map(d => findNextWorkingDay(d, config.holidays || [], config.saturdayWorking));
+                        currentPatientIdx++;
+                        if (generatedDates.length === 0) {
+                            planned.delete(p); // No free day left - stays unplanned
+                            if (dayLoad.unmet > unmetBeforePatient) capacityDropped.add(p);
+                            continue;
+                        }
 
                         // Assign to Columns
                         generatedDates.forEach((date, idx) => {
                             if (idx < visitCount) {
-                                outRow[visitKeys[idx]] = date.toDate();
+                                setVisit(outRow, idx, date);
                             }
                         });
                         // --- MULTI-VISIT CIRCULAR LOGIC END ---
 
-                        monthlyRows.push(outRow);
+                        const sheetMonth = firstBooked ? Math.min(11, periodMonthIndex(period, firstBooked)) : m;
+                        rowsByMonth[sheetMonth].push(outRow);
                         rangeAllRows.push(outRow);
-
-                        currentPatientIdx++;
                     }
                 }
+            }
 
-                const sheet = outWb.addWorksheet(MONTH_NAMES[m]);
-                templateHeaderStyle.font = { name: 'Times New Roman', size: 11, bold: true };
-                applyTemplateStyles(sheet, rangeHeaders, rangeColWidths, templateHeaderStyle);
-
-                const borderStyle = { top: { style: 'thin' }, left: { style: 'thin' }, bottom: { style: 'thin' }, right: { style: 'thin' } };
-
-                monthlyRows.forEach(row => {
-                    const values = rangeHeaders.map(h => row[h]);
-                    const newRow = sheet.addRow(values);
-                    for (let c = 1; c <= rangeHeaders.length; c++) {
-                        const cell = newRow.getCell(c);
-                        cell.border = borderStyle;
-                        cell.font = { name: 'Times New Roman', size: 11 };
-                        cell.alignment = { wrapText: true, vertical: 'middle', horizontal: 'left' };
-                        if (cell.value instanceof Date) cell.numFmt = 'dd.mm.yyyy';
-                    }
-                });
+            for (let m = 0; m < 12; m++) {
+                if (rowsByMonth[m].length === 0) continue;
+                // Renumber ID
+                if (idColKey) rowsByMonth[m].forEach((row, i) => { row[idColKey] = i + 1; });
+                writeMonthSheet(m, rowsByMonth[m]);
+            }
+
+            // Quota left at the end of the period: the next patients in order did not fit
+            if (cutByCapacity && carry > 0) {
+                patientPool.filter(p => !planned.has(p)).slice(0, carry).forEach(p => capacityDropped.add(p));
+                warnings.push(`${unitTitle}: Kunlik sig'im yetmadi, ${carry} ta bemor yil oxirigacha joylashtirilmadi (Umumiy_Reja.xlsx, "Xatolar" varag'i).`);
             }
         }
 
+        capacityDropped.forEach(p => {
+            problemRows.push({
+                row: p._rowNumber,
+                name: nameColKey ? rawText(p[nameColKey]) : '',
+                reason: `Kunlik sig'im yetmadi: ${unitTitle}`,
+                value: ''
+            });
+        });
+
+        // Visit gaps that could not be kept (holiday blocks, full days): every visit on "Xatolar", a count here
+        const gapText = `${minGap || 1}-${maxGap || '∞'} kun`;
+        gapProblems.forEach(g => {
+            const got = g.got ? g.got.format('DD.MM.YYYY') : "joy topilmadi";
+            gapRows.push({
+                row: g.p._rowNumber,
+                name: nameColKey ? rawText(g.p[nameColKey]) : '',
+                reason: `Tashriflar oralig'i (${gapText}) saqlanmadi: ${unitTitle}`,
+                value: `${g.prev.format('DD.MM.YYYY')} dan keyingi ${g.want.format('DD.MM.YYYY')} tashrif → ${got}`
+            });
+        });
+        if (gapProblems.length > 0) {
+            warnings.push(`${unitTitle}: ${gapProblems.length} ta tashrifda oraliq (${gapText}) saqlanmadi (Umumiy_Reja.xlsx, "Xatolar" varag'iga qarang).`);
+        }
+
+        const unmetVisits = dayLoad.unmet - unmetBefore;
+        if (unmetVisits > 0) {
+            warnings.push(`${unitTitle}: Kunlik sig'im yetmadi, ${unmetVisits} ta tashrif yil oxirigacha bo'sh kun topmadi.`);
+        }
+
         // Umumiy Sheet (Range specific)
-        if (rangeAllRows.length > 0) {
+        // Everyone not in 'planned' was NOT processed.
+        const remainingPatients = patientPool.filter(p => !planned.has(p));
+        if (rangeAllRows.length > 0 || remainingPatients.length > 0) {
             const uSheet = outWb.addWorksheet("Umumiy");
-            applyTemplateStyles(uSheet, rangeHeaders, rangeColWidths, templateHeaderStyle);
+            applyTemplateStyles(uSheet, rangeHeaders, rangeColWidths, templateHeaderStyle, sourceLayout);
 
             let uIdCounter = 1;
             const uRows = rangeAllRows.map(r => {
@@ -721,31 +2474,10 @@ async function processExcel(buffer, config) {
                 return newR;
             });
 
-            uRows.forEach(row => {
-                const values = rangeHeaders.map(h => row[h]);
-                const newRow = uSheet.addRow(values);
-                const borderStyle = { top: { style: 'thin' }, left: { style: 'thin' }, bottom: { style: 'thin' }, right: { style: 'thin' } };
-                for (let c = 1; c <= rangeHeaders.length; c++) {
-                    const cell = newRow.getCell(c);
-                    cell.border = borderStyle;
-                    cell.font = { name: 'Times New Roman', size: 11 };
-                    cell.alignment = { wrapText: true, vertical: 'middle', horizontal: 'left' };
-                    if (cell.value instanceof Date) {
-                        cell.numFmt = 'dd.mm.yyyy';
-                    }
-
-                    // --- HIGHLIGHT YELLOW FOR UNPLANNED ---
-                    if (row._isUnplanned) {
-                        cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFFF00' } }; // Yellow
-                    }
-                }
-            });
+            uRows.forEach(row => addDataRow(uSheet, rangeHeaders, row, timeKeys, sourceLayout));
 
             // Handle Unplanned (Remaining in Pool)
-            // pIndex points to the next available patient. 
-            // So everyone from pIndex to end was NOT processed.
-            if (pIndex < patientPool.length) {
-                const remainingPatients = patientPool.slice(pIndex);
+            if (remainingPatients.length > 0) {
                 let uIdCounterUnplanned = uIdCounter; // Continue counter? Yes.
 
                 remainingPatients.forEach(p => {
@@ -763,57 +2495,82 @@ async function processExcel(buffer, config) {
 
                     // Mark as unplanned
                     outRow._isUnplanned = true;
+                    if (capacityDropped.has(p)) outRow._noCapacity = true;
 
                     // Add to array for consolidated
                     rangeAllRows.push(outRow);
 
                     // Add to Sheet
-                    const values = rangeHeaders.map(h => outRow[h]);
-                    const newRow = uSheet.addRow(values);
-                    const borderStyle = { top: { style: 'thin' }, left: { style: 'thin' }, bottom: { style: 'thin' }, right: { style: 'thin' } };
-
-                    for (let c = 1; c <= rangeHeaders.length; c++) {
-                        const cell = newRow.getCell(c);
-                        cell.border = borderStyle;
-                        cell.font = { name: 'Times New Roman', size: 11 };
-                        cell.alignment = { wrapText: true, vertical: 'middle', horizontal: 'left' };
-                        cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFFF00' } }; // Yellow
-
-                        if (cell.value instanceof Date) {
-                            cell.numFmt = 'dd.mm.yyyy';
-                        }
-                    }
+                    addDataRow(uSheet, rangeHeaders, outRow, timeKeys, sourceLayout);
                 });
             }
         }
 
+        // Visits per month of this group
+        if (!groupVisits.has(group)) groupVisits.set(group, Array(12).fill(0));
+        const monthVisits = groupVisits.get(group);
+        rangeAllRows.forEach(r => visitKeys.forEach(key => {
+            if (!(r[key] instanceof Date)) return;
+            const k = periodMonthIndex(period, dayjs(r[key]));
+            if (k >= 0 && k < 12) monthVisits[k]++;
+        }));
+
         // Store for global
-        allRangesRows.push({ rows: rangeAllRows, visitCount: visitCount, rangeHeaders: rangeHeaders });
+        allRangesRows.push({ rows: rangeAllRows, visitCount: visitCount, visitKeys: visitKeys, timeKeys: timeKeys, rangeHeaders: rangeHeaders, rangeIdx });
 
         const buffer = await outWb.xlsx.writeBuffer();
         archive.append(buffer, { name: rangeName });
+
+        // Same plan as a calendar: one event per visit, next to the XLSX
+        archive.append(buildIcs(unitTitle, visitEvents(rangeAllRows, visitKeys, rangeName)), {
+            name: rangeName.replace(/\.xlsx$/, '.ics')
+        });
+
+        // Optional printable day lists: every visit of the month sheets, one page per day
+        if (pdfFonts) {
+            const pdf = await buildDayListsPdf({
+                clinicName: config.clinicName || '',
+                doctor: group === null ? '' : group,
+                title: rangeTitle(range),
+                withTime: Boolean(timeSlots),
+                days: dayLists(sheetRows, visitKeys, timeKeys)
+            });
+            archive.append(pdf, { name: rangeName.replace(/\.xlsx$/, '.pdf') });
+        }
     }
 
+    // Same numbers go to the "Statistika" sheet and to the API response
+    const statistics = buildStatistics(allRangesRows, config.ranges, rowsData, period, workPattern);
+
     // Consolidated Global Sheet
+    const uWb = new ExcelJS.Workbook();
     if (allRangesRows.length > 0) {
-        const uWb = new ExcelJS.Workbook();
         const uSheet = uWb.addWorksheet("Umumiy Reja");
 
         // Determine Global Headers based on Max Visits - REMOVED 'Tashrif oyi'
         let globalHeaders = [...trimmedHeaders];
+        const globalVisitKeys = [];
         if (maxVisitsGlobal === 1) {
-            globalHeaders.push('Tashrif sanasi');
+            globalVisitKeys.push('Tashrif sanasi');
         } else {
             for (let v = 1; v <= maxVisitsGlobal; v++) {
-                globalHeaders.push(`${v}-tashrif sanasi`);
+                globalVisitKeys.push(`${v}-tashrif sanasi`);
             }
         }
+        const globalTimeKeys = timeSlots ? globalVisitKeys.map(timeKeyFor) : [];
 
         // REMOVED 15 for 'Tashrif oyi'
         const globalColWidths = [...trimmedWidths];
-        for (let i = 0; i < maxVisitsGlobal; i++) globalColWidths.push(15);
+        globalVisitKeys.forEach((key, idx) => {
+            globalHeaders.push(key);
+            globalColWidths.push(15);
+            if (timeSlots) {
+                globalHeaders.push(globalTimeKeys[idx]);
+                globalColWidths.push(10);
+            }
+        });
 
-        applyTemplateStyles(uSheet, globalHeaders, globalColWidths, templateHeaderStyle);
+        applyTemplateStyles(uSheet, globalHeaders, globalColWidths, templateHeaderStyle, sourceLayout);
 
         // Merge all ranges rows and re-normalize headers
         let gIdCounter = 1;
@@ -821,14 +2578,16 @@ async function processExcel(buffer, config) {
 
         allRangesRows.forEach(group => {
             group.rows.forEach(r => {
-                // Map range-specific keys (1-tashrif, 2-tashrif) to Global Keys
-                // If this range has 1 visit, map 'Tashrif sanasi' to '1-tashrif sanasi' IF global has > 1
+                // Map range-specific keys (Tashrif sanasi, 1-tashrif, 3 kunlik tashrif) to Global Keys by position
                 const newR = { ...r };
 
-                if (group.visitCount === 1 && maxVisitsGlobal > 1) {
-                    newR['1-tashrif sanasi'] = r['Tashrif sanasi'];
-                    delete newR['Tashrif sanasi'];
-                }
+                const moveKey = (key, globalKey) => {
+                    if (key === globalKey) return;
+                    newR[globalKey] = r[key];
+                    delete newR[key];
+                };
+                group.visitKeys.forEach((key, idx) => moveKey(key, globalVisitKeys[idx]));
+                group.timeKeys.forEach((key, idx) => moveKey(key, globalTimeKeys[idx]));
 
                 if (idColKey) newR[idColKey] = gIdCounter++;
                 allFlatRows.push(newR);
@@ -837,24 +2596,56 @@ async function processExcel(buffer, config) {
 
         const borderStyle = { top: { style: 'thin' }, left: { style: 'thin' }, bottom: { style: 'thin' }, right: { style: 'thin' } };
 
-        allFlatRows.forEach(row => {
-            const values = globalHeaders.map(h => row[h]);
-            const newRow = uSheet.addRow(values);
-            for (let c = 1; c <= globalHeaders.length; c++) {
+        allFlatRows.forEach(row => addDataRow(uSheet, globalHeaders, row, globalTimeKeys, sourceLayout));
+
+        // Visits per doctor / uchastka per month
+        if (groupColIdx) {
+            const gSheet = uWb.addWorksheet("Shifokorlar");
+            const gHeaders = [headers[groupColIdx - 1], ...period.months.map((_, k) => monthSheetName(period, k)), 'Jami'];
+            applyTemplateStyles(gSheet, gHeaders, [25, ...MONTH_NAMES.map(() => 10), 10], templateHeaderStyle);
+
+            const totals = Array(12).fill(0);
+            const summaryRows = groups.map(g => {
+                const months = groupVisits.get(g) || Array(12).fill(0);
+                months.forEach((n, m) => { totals[m] += n; });
+                return [g, ...months, months.reduce((a, b) => a + b, 0)];
+            });
+            summaryRows.push(['Jami', ...totals, totals.reduce((a, b) => a + b, 0)]);
+
+            summaryRows.forEach((values, i) => {
+                const newRow = gSheet.addRow(values);
+                for (let c = 1; c <= gHeaders.length; c++) {
+                    const cell = newRow.getCell(c);
+                    cell.border = borderStyle;
+                    cell.font = { name: 'Times New Roman', size: 11, bold: i === summaryRows.length - 1 };
+                    cell.alignment = { vertical: 'middle', horizontal: c === 1 ? 'left' : 'center' };
+                }
+            });
+        }
+
+        addStatisticsSheet(uWb, statistics, templateHeaderStyle);
+    }
+
+    // Rows left out of the plan - also when nothing could be planned, that is when the report matters most;
+    // then the visits whose gap could not be kept
+    if (problemRows.length > 0 || gapRows.length > 0) {
+        const eSheet = uWb.addWorksheet("Xatolar");
+        const eHeaders = ['Qator', 'F.I.SH', 'Sabab', 'Qiymat'];
+        const borderStyle = { top: { style: 'thin' }, left: { style: 'thin' }, bottom: { style: 'thin' }, right: { style: 'thin' } };
+        applyTemplateStyles(eSheet, eHeaders, [10, 35, 35, 25], templateHeaderStyle);
+
+        [...problemRows, ...gapRows].forEach(p => {
+            const newRow = eSheet.addRow([p.row, p.name, p.reason, p.value]);
+            for (let c = 1; c <= eHeaders.length; c++) {
                 const cell = newRow.getCell(c);
                 cell.border = borderStyle;
                 cell.font = { name: 'Times New Roman', size: 11 };
                 cell.alignment = { wrapText: true, vertical: 'middle', horizontal: 'left' };
-                if (cell.value instanceof Date) {
-                    cell.numFmt = 'dd.mm.yyyy';
-                }
-
-                // --- HIGHLIGHT YELLOW FOR UNPLANNED ---
-                if (row._isUnplanned) {
-                    cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFFF00' } }; // Yellow
-                }
             }
         });
+    }
+
+    if (uWb.worksheets.length > 0) {
         const uBuff = await uWb.xlsx.writeBuffer();
         archive.append(uBuff, { name: "Umumiy_Reja.xlsx" });
     }
@@ -862,7 +2653,7 @@ async function processExcel(buffer, config) {
     await archive.finalize();
 
     return new Promise((resolve, reject) => {
-        outputStream.on('close', () => resolve({ downloadUrl: `/output/${zipName}`, warnings }));
+        outputStream.on('close', () => resolve({ downloadUrl: `/output/${zipName}`, warnings, seeds, statistics }));
         outputStream.on('error', reject);
     });
 }
@@ -870,7 +2661,7 @@ async function processExcel(buffer, config) {
 /**
  * Analyze Excel
  */
-async function analyzeExcel(buffer) {
+async function analyzeExcel(buffer, options = {}) {
     const workbook = new ExcelJS.Workbook();
     await workbook.xlsx.load(buffer);
     const sheet = workbook.worksheets[0];
@@ -888,58 +2679,153 @@ async function analyzeExcel(buffer) {
         headers[col - 1] = val ? String(val) : '';
     });
 
-    const birthColIdx = findBirthDateColumn(headers);
+    // Detect Columns (explicit mapping from the UI wins)
+    const columns = detectColumns(headers, collectSampleRows(sheet, headerRowIdx), options.columns || {});
+    const birthColIdx = columns.birthDate.index;
+    const nameColIdx = columns.name.index || -1;
+    const genderColIdx = columns.gender.index || -1;
+    const jshshirColIdx = columns.jshshir.index || -1;
     let totalPatients = 0;
 
-    // Detect Name Column for Gender
-    const keywordsName = ['f.i.sh', 'fish', 'ism', 'name', 'familiya'];
-    let nameColKey = null;
-    let nameColIdx = -1;
+    const yearCounts = {}; // { 2000: { total: 0, male: 0, female: 0 } }
 
-    // We need index for cell access
-    headers.forEach((h, i) => {
-        if (!nameColKey && keywordsName.some(k => h.toLowerCase().includes(k))) {
-            nameColKey = h;
-            nameColIdx = i + 1;
+    // Age on the first day of the plan period, like ageAt: 'yearStart' ranges (ageWindow):
+    // { months: { 0: {...}, ... 59: {...} }, years: { 0: {...}, ... } }
+    const targetYear = Number(options.targetYear) || dayjs().year();
+    const yearStart = planPeriod({ targetYear, startMonth: options.startMonth }).start;
+    const ageCounts = { months: {}, years: {} };
+    const countIn = (bucket, key, gender) => {
+        if (!bucket[key]) bucket[key] = { total: 0, male: 0, female: 0 };
+        bucket[key].total++;
+        bucket[key][gender]++;
+    };
+    const countPatient = (counts, p) => {
+        countIn(counts.yearCounts, p.year, p.gender);
+        if (p.ageMonths >= 0) {
+            if (p.ageMonths < 60) countIn(counts.ageCounts.months, p.ageMonths, p.gender);
+            countIn(counts.ageCounts.years, p.ageYears, p.gender);
         }
-    });
-    if (!nameColKey && headers.length > 1) {
-        nameColIdx = 2; // Fallback
-    }
+    };
 
-    const yearCounts = {}; // { 2000: { total: 0, male: 0, female: 0 } }
+    // Range filters from the UI: the same buckets for the patients each filter list keeps,
+    // so the browser never needs the register rows ([[rules of range 1], [rules of range 2], ...])
+    const filterSets = Array.isArray(options.filters) ? options.filters : [];
+    filterSets.forEach((filters, i) => validateFilters(filters, headers.length, `#${i + 1}`));
+    const filterCounts = filterSets.map(() => ({ yearCounts: {}, ageCounts: { months: {}, years: {} } }));
+
+    // How many rows each gender source decided (reliability of male/female split)
+    const genderSources = {};
+    GENDER_SOURCES.forEach(s => genderSources[s] = 0);
+
+    const cellText = (row, idx) => idx > 0 ? plainValue(row.getCell(idx).value) : null;
+
+    // Rows that would be left out of the plan: { row, name, reason, value }
+    const problems = [];
+    const records = []; // For duplicate detection
+
+    // Most frequent values of each column for the filter editor
+    const valueCounts = headers.map(() => new Map());
+
+    // Rows with a usable birth date; counted after duplicate removal, like processExcel plans them
+    const counted = []; // { row, year, ageMonths, gender, source, cells }
 
     sheet.eachRow((row, rowNum) => {
         if (rowNum <= headerRowIdx) return; // Skip header and above
+        if (isBlankRow(row)) return;
+
+        const problem = findRowProblem(row, birthColIdx, nameColIdx);
+        if (problem) {
+            problems.push({ row: rowNum, name: rawText(cellText(row, nameColIdx)), ...problem });
+            return;
+        }
+
         const cell = row.getCell(birthColIdx);
         const date = parseDate(cell.value);
         if (date.isValid()) {
             const y = date.year();
             if (y >= 1900 && y < dayjs().year() + 1) {
-                if (!yearCounts[y]) yearCounts[y] = { total: 0, male: 0, female: 0 };
-
-                yearCounts[y].total++;
-
                 // Gender Check
-                let isFemale = false;
-                if (nameColIdx > 0) {
-                    const val = row.getCell(nameColIdx).value;
-                    const str = val ? String(val).trim() : '';
-                    const firstWord = str.split(' ')[0];
-                    if (firstWord && firstWord.toLowerCase().endsWith('a')) {
-                        isFemale = true;
-                    }
-                }
+                const resolved = resolveGender({
+                    gender: cellText(row, genderColIdx),
+                    jshshir: cellText(row, jshshirColIdx),
+                    name: cellText(row, nameColIdx)
+                });
 
-                if (isFemale) yearCounts[y].female++;
-                else yearCounts[y].male++;
+                counted.push({
+                    row: rowNum,
+                    year: y,
+                    ageMonths: yearStart.diff(date, 'month'),
+                    ageYears: yearStart.diff(date, 'year'),
+                    gender: resolved.gender,
+                    source: resolved.source,
+                    cells: headers.map((h, i) => filterText(plainValue(row.getCell(i + 1).value)))
+                });
 
-                totalPatients++;
+                records.push({
+                    row: rowNum,
+                    name: cellText(row, nameColIdx),
+                    jshshir: cellText(row, jshshirColIdx),
+                    birthDate: date
+                });
             }
         }
     });
 
-    return { yearCounts, totalPatients };
+    // Duplicates the chosen policy takes out are not counted (the plan would not have them)
+    const duplicates = findDuplicates(records);
+    const removedRows = duplicateRowsToRemove(duplicates, options.duplicates || 'flag');
+
+    counted.forEach(p => {
+        if (removedRows.has(p.row)) return;
+        countPatient({ yearCounts, ageCounts }, p);
+        genderSources[p.source]++;
+        filterSets.forEach((filters, i) => {
+            if (matchesFilters(p.cells, filters)) countPatient(filterCounts[i], p);
+        });
+
+        p.cells.forEach((text, i) => {
+            if (text !== '') valueCounts[i].set(text, (valueCounts[i].get(text) || 0) + 1);
+        });
+        totalPatients++;
+    });
+
+    // Value suggestions only for category-like columns (uchastka, mahalla, guruh):
+    // names, JSHSHIR and birth dates never leave the server
+    const personalColumns = [columns.name.index, columns.jshshir.index, columns.birthDate.index];
+    const suggestValues = i => !personalColumns.includes(i + 1) && valueCounts[i].size <= MAX_FILTER_VALUES;
+
+    return {
+        yearCounts,
+        ageCounts,
+        targetYear,
+        ageDate: yearStart.format('YYYY-MM-DD'),
+        totalPatients,
+        genderSources,
+        problems,
+        duplicates,
+        removedDuplicates: removedRows.size,
+        headers: headers.map((header, i) => ({ index: i + 1, header })),
+        columns,
+        filterCounts,
+        columnValues: headers.map((header, i) => ({
+            index: i + 1,
+            header,
+            distinct: valueCounts[i].size,
+            values: suggestValues(i) ? [...valueCounts[i]]
+                .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0], undefined, { numeric: true }))
+                .map(([value, count]) => ({ value, count })) : []
+        }))
+    };
 }
 
-module.exports = { processExcel, analyzeExcel };
+module.exports = {
+    processExcel,
+    analyzeExcel,
+    // Building blocks, for the tests
+    findDuplicates,
+    duplicateRowsToRemove,
+    planPeriod,
+    findRangeOverlaps,
+    assignRanges,
+    createDayLoad
+};
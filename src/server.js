@@ -2,6 +2,7 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const { processExcel } = require('./processor');
+const { getCalendar } = require('./calendar');
 
 const app = express();
 const port = process.env.PORT || 3000;
@@ -19,14 +20,19 @@ app.get("/", (req, res) => {
 });
 
 // API process
-app.post('/api/process', upload.single('file'), async (req, res) => {
+app.post('/api/process', upload.fields([{ name: 'file', maxCount: 1 }, { name: 'previousPlan', maxCount: 1 }, { name: 'template', maxCount: 1 }]), async (req, res) => {
     try {
-        if (!req.file) {
+        const file = req.files && req.files.file ? req.files.file[0] : null;
+        if (!file) {
             return res.status(400).json({ error: 'No file uploaded' });
         }
 
         const config = JSON.parse(req.body.config);
-        const result = await processExcel(req.file.buffer, config);
+        // Optional: last year's Umumiy_Reja.xlsx (or its JSON export)
+        const previousPlan = req.files.previousPlan ? req.files.previousPlan[0].buffer : null;
+        // Optional: district form (XLSX with {{...}} placeholders) for the month sheets
+        const template = req.files.template ? req.files.template[0].buffer : null;
+        const result = await processExcel(file.buffer, config, previousPlan, template);
 
         res.json(result);
     } catch (error) {
@@ -43,7 +49,13 @@ app.post('/api/analyze', upload.single('file'), async (req, res) => {
         }
 
         const { analyzeExcel } = require('./processor');
-        const result = await analyzeExcel(req.file.buffer);
+        // Optional manual column mapping: { birthDate: 3, name: 2, ... }
+        const columns = req.body.columns ? JSON.parse(req.body.columns) : undefined;
+        // Optional range filters: [[{ column, op, value }, ...], ...] -> filterCounts in the same order
+        const filters = req.body.filters ? JSON.parse(req.body.filters) : undefined;
+        // Ages are counted on the first day of the plan (targetYear, startMonth);
+        // duplicate policy: counts leave out the copies the plan will drop
+        const result = await analyzeExcel(req.file.buffer, { columns, targetYear: req.body.targetYear, startMonth: req.body.startMonth, duplicates: req.body.duplicates, filters });
 
         res.json(result);
     } catch (error) {
@@ -52,6 +64,16 @@ app.post('/api/analyze', upload.single('file'), async (req, res) => {
     }
 });
 
+// API calendar: holidays and transferred working days of a year
+app.get('/api/calendar/:year', (req, res) => {
+    try {
+        res.json(getCalendar(req.params.year));
+    } catch (error) {
+        console.error(error);
+        res.status(400).json({ error: error.message });
+    }
+});
+
 app.listen(port, () => {
     console.log(`Server running on port ${port}`);
 });
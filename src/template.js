@@ -0,0 +1,261 @@
+// Output template: a district's own XLSX form filled for every month sheet.
+// The first sheet of the template is copied as is; placeholders are replaced:
+//   anywhere:          {{month}} {{year}} {{targetYear}} {{range}} {{group}} {{clinicName}} {{count}} {{date}}
+//   in one data row:   {{n}} {{col:<register header>}} {{visit:N}} {{time:N}}
+// The data row is repeated once per patient; rows below it (footer, signatures) move down.
+// Formulas follow the move: a footer =SUM(C5:C5) over the data row becomes =SUM(C5:C<last patient row>).
+
+const ExcelJS = require('exceljs');
+const dayjs = require('dayjs');
+const { normalizeText } = require('./gender');
+
+const PLACEHOLDER = /\{\{\s*([a-zA-Z]+)\s*(?::\s*([^}]*?))?\s*\}\}/g;
+const SHEET_FIELDS = ['month', 'year', 'targetYear', 'range', 'group', 'clinicName', 'count', 'date'];
+const ROW_FIELDS = ['n', 'col', 'visit', 'time'];
+
+function cloneStyle(style) {
+    return style ? JSON.parse(JSON.stringify(style)) : {};
+}
+
+/**
+ * Template cell value: text (placeholders are looked for in it) or a plain value / formula
+ */
+function cellValue(val) {
+    if (val && typeof val === 'object' && !(val instanceof Date)) {
+        if (val.richText) return val.richText.map(t => t.text).join('');
+        if (val.sharedFormula) return val.result === undefined ? null : val.result;
+        if (val.formula) return { formula: val.formula };
+        if (val.text) return val.text;
+    }
+    return val;
+}
+
+// Cell or range reference on the same sheet: C5, $C$5, C5:C7 (not after "!" - another sheet)
+const FORMULA_REF = /(^|[^A-Za-z0-9_.!$'])(\$?)([A-Z]{1,3})(\$?)(\d+)(?::(\$?)([A-Z]{1,3})(\$?)(\d+))?(?![A-Za-z0-9_(!])/g;
+
+/**
+ * Row references of a template formula after the data row is repeated.
+ * Rows below the data row move by shift (like inserted rows); a range that covers the data row
+ * grows over all patient rows; in a patient row (idx > 0) a relative reference to the data row
+ * points at that patient's row, like a formula filled down.
+ * @param {string} formula - Formula text without "="
+ * @param {number} dataRowIdx - Data row of the template
+ * @param {number} shift - Added patient rows
+ * @param {number} idx - Patient index for a data row cell, else 0
+ */
+function moveFormula(formula, dataRowIdx, shift, idx = 0) {
+    const moveRow = (row, absolute) => {
+        if (row > dataRowIdx) return row + shift;
+        if (row === dataRowIdx && !absolute) return row + idx;
+        return row;
+    };
+    // Text in quotes is left alone
+    return formula.split(/("(?:[^"]|"")*")/).map((part, i) => i % 2 ? part : part.replace(FORMULA_REF,
+        (match, lead, c1, col1, r1abs, r1, c2, col2, r2abs, r2) => {
+            const top = parseInt(r1);
+            if (r2 === undefined) return `${lead}${c1}${col1}${r1abs}${moveRow(top, r1abs === '$')}`;
+            const bottom = parseInt(r2);
+            if (top <= dataRowIdx && bottom >= dataRowIdx) {
+                return `${lead}${c1}${col1}${r1abs}${top}:${c2}${col2}${r2abs}${bottom + shift}`;
+            }
+            return `${lead}${c1}${col1}${r1abs}${moveRow(top, r1abs === '$')}:${c2}${col2}${r2abs}${moveRow(bottom, r2abs === '$')}`;
+        })).join('');
+}
+
+function parseRef(ref) {
+    const match = String(ref).match(/^([A-Z]+)(\d+):([A-Z]+)(\d+)$/);
+    if (!match) return null;
+    const colNumber = letters => letters.split('').reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0);
+    return { top: parseInt(match[2]), left: colNumber(match[1]), bottom: parseInt(match[4]), right: colNumber(match[3]) };
+}
+
+/**
+ * Read and check a template.
+ * @param {Buffer} buffer - Template XLSX
+ * @param {Array<string>} headers - Register headers that {{col:...}} may name
+ * @returns {Promise<Object>} Template model for fillTemplate()
+ */
+async function loadTemplate(buffer, headers) {
+    const workbook = new ExcelJS.Workbook();
+    try {
+        await workbook.xlsx.load(buffer);
+    } catch (e) {
+        throw new Error("Xato: Shablon fayli o'qilmadi (XLSX bo'lishi kerak).");
+    }
+    const sheet = workbook.worksheets[0];
+    if (!sheet) throw new Error("Xato: Shablon faylida varaq yo'q.");
+
+    const headerByText = new Map(headers.map(h => [normalizeText(h), h]));
+    const rows = [];
+    let dataRowIdx = null;
+
+    sheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+        const cells = [];
+        let hasRowField = false;
+        row.eachCell({ includeEmpty: true }, (cell, colNumber) => {
+            // Merged slave cells read as the master value - the merge shows it
+            const value = cell.isMerged && cell.master !== cell ? null : cellValue(cell.value);
+            if (typeof value === 'string') {
+                for (const [, name, arg] of value.matchAll(PLACEHOLDER)) {
+                    if (!SHEET_FIELDS.includes(name) && !ROW_FIELDS.includes(name)) {
+                        throw new Error(`Xato: Shablon (${cell.address}): noma'lum maydon {{${name}}}.`);
+                    }
+                    if (!ROW_FIELDS.includes(name)) continue;
+                    hasRowField = true;
+                    if (name === 'col' && !headerByText.has(normalizeText(arg))) {
+                        throw new Error(`Xato: Shablon (${cell.address}): "${arg}" ustuni registrda topilmadi.`);
+                    }
+                    if ((name === 'visit' || name === 'time') && !(parseInt(arg) >= 1)) {
+                        throw new Error(`Xato: Shablon (${cell.address}): tashrif raqami noto'g'ri: {{${name}:${arg || ''}}}.`);
+                    }
+                }
+            }
+            cells.push({ col: colNumber, value, style: cloneStyle(cell.style) });
+        });
+
+        if (hasRowField) {
+            if (dataRowIdx !== null && dataRowIdx !== rowNumber) {
+                throw new Error(`Xato: Shablonda ma'lumot qatori bitta bo'lishi kerak (${dataRowIdx} va ${rowNumber}-qatorlar).`);
+            }
+            dataRowIdx = rowNumber;
+        }
+        rows.push({ rowNumber, height: row.height, cells });
+    });
+
+    if (dataRowIdx === null) {
+        throw new Error("Xato: Shablonda ma'lumot qatori ({{col:...}} yoki {{visit:1}} bor qator) topilmadi.");
+    }
+
+    const merges = (sheet.model.merges || []).map(parseRef).filter(m => m && !(m.top <= dataRowIdx && m.bottom >= dataRowIdx && m.top !== m.bottom));
+
+    const widths = [];
+    for (let c = 1; c <= sheet.columnCount; c++) widths.push(sheet.getColumn(c).width);
+
+    // Print area would cut the moved footer; print titles (rows above the data) stay valid
+    const pageSetup = cloneStyle(sheet.pageSetup);
+    delete pageSetup.printArea;
+
+    return {
+        rows,
+        dataRowIdx,
+        headerByText,
+        merges,
+        widths,
+        views: cloneStyle(sheet.views),
+        pageSetup,
+        headerFooter: cloneStyle(sheet.headerFooter)
+    };
+}
+
+function formatValue(val) {
+    if (val === null || val === undefined) return '';
+    if (val instanceof Date) return dayjs(val).format('DD.MM.YYYY');
+    return String(val);
+}
+
+function formatTime(val) {
+    if (typeof val !== 'number') return formatValue(val);
+    const minutes = Math.round(val * 1440);
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Fill one sheet from the template.
+ * @param {Worksheet} sheet - Empty output sheet
+ * @param {Object} template - loadTemplate() result
+ * @param {Object} fields - Sheet fields: { month, year, targetYear, range, group, clinicName, count, date }
+ * @param {Array<Object>} rows - Plan rows (register headers, visit and time keys)
+ * @param {Object} keys - { visitKeys, timeKeys } of the range
+ * @param {Function} rowFill - row -> highlight fill or null
+ */
+function fillTemplate(sheet, template, fields, rows, { visitKeys, timeKeys }, rowFill = () => null) {
+    // Rows below the data row move by this much; a month without patients keeps one empty data row,
+    // so footer formulas over it stay valid
+    const shift = Math.max(rows.length, 1) - 1;
+
+    // Value of one placeholder: { value, text } - raw value for a cell that is only this placeholder
+    const resolve = (name, arg, row, idx) => {
+        if (SHEET_FIELDS.includes(name)) {
+            const value = fields[name];
+            return { value, text: formatValue(value) };
+        }
+        if (name === 'n') return { value: idx + 1, text: String(idx + 1) };
+        if (name === 'col') {
+            const value = row[template.headerByText.get(normalizeText(arg))];
+            return { value, text: formatValue(value) };
+        }
+        const key = (name === 'visit' ? visitKeys : timeKeys)[parseInt(arg) - 1];
+        const value = key ? row[key] : null;
+        return { value, text: name === 'time' ? formatTime(value) : formatValue(value), time: name === 'time' };
+    };
+
+    const writeCell = (target, source, row, idx) => {
+        target.style = cloneStyle(source.style);
+        if (source.value && source.value.formula) {
+            target.value = { formula: moveFormula(source.value.formula, template.dataRowIdx, shift, idx) };
+            return;
+        }
+        if (typeof source.value !== 'string') {
+            target.value = source.value === undefined ? null : source.value;
+            return;
+        }
+
+        const matches = [...source.value.matchAll(PLACEHOLDER)];
+        if (matches.length === 1 && matches[0][0] === source.value.trim()) {
+            // Only a placeholder: keep dates, numbers and times as values
+            const resolved = resolve(matches[0][1], matches[0][2], row, idx);
+            const value = resolved.value === undefined ? null : resolved.value;
+            target.value = value;
+            if (value instanceof Date && !source.style.numFmt) target.numFmt = 'dd.mm.yyyy';
+            if (resolved.time && typeof value === 'number' && !source.style.numFmt) target.numFmt = 'hh:mm';
+            return;
+        }
+        target.value = source.value.replace(PLACEHOLDER, (_, name, arg) => resolve(name, arg, row, idx).text);
+    };
+
+    template.widths.forEach((width, i) => {
+        if (width) sheet.getColumn(i + 1).width = width;
+    });
+
+    template.rows.forEach(tRow => {
+        if (tRow.rowNumber === template.dataRowIdx) {
+            rows.forEach((row, idx) => {
+                const out = sheet.getRow(tRow.rowNumber + idx);
+                if (tRow.height) out.height = tRow.height;
+                const fill = rowFill(row);
+                tRow.cells.forEach(c => {
+                    const cell = out.getCell(c.col);
+                    writeCell(cell, c, row, idx);
+                    if (fill) cell.fill = fill;
+                });
+                out.commit();
+            });
+            return;
+        }
+
+        const out = sheet.getRow(tRow.rowNumber < template.dataRowIdx ? tRow.rowNumber : tRow.rowNumber + shift);
+        if (tRow.height) out.height = tRow.height;
+        tRow.cells.forEach(c => writeCell(out.getCell(c.col), c, null, 0));
+        out.commit();
+    });
+
+    template.merges.forEach(m => {
+        if (m.top === template.dataRowIdx) {
+            // Merge inside the data row: repeat for every patient
+            rows.forEach((_, idx) => sheet.mergeCells(m.top + idx, m.left, m.bottom + idx, m.right));
+        } else if (m.top > template.dataRowIdx) {
+            sheet.mergeCells(m.top + shift, m.left, m.bottom + shift, m.right);
+        } else {
+            sheet.mergeCells(m.top, m.left, m.bottom, m.right);
+        }
+    });
+
+    if (template.views && template.views.length > 0) sheet.views = cloneStyle(template.views);
+    Object.assign(sheet.pageSetup, cloneStyle(template.pageSetup));
+    Object.assign(sheet.headerFooter, cloneStyle(template.headerFooter));
+}
+
+module.exports = {
+    loadTemplate,
+    fillTemplate
+};
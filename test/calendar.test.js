@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const dayjs = require('dayjs');
+const { FIXED_HOLIDAYS, getCalendar } = require('../src/calendar');
+const { createDayLoad } = require('../src/processor');
+
+test('a year with a calendar file has hayit and extra days off', () => {
+    const calendar = getCalendar('2026');
+    assert.strictEqual(calendar.known, true);
+    const dates = calendar.holidays.map(h => h.date);
+    assert.ok(dates.includes('2026-03-20'), 'Ramazon hayit');
+    assert.ok(dates.includes('2026-01-01'), 'fixed holiday');
+    assert.deepStrictEqual(dates, [...dates].sort());
+});
+
+test('a year without a file has only the fixed holidays', () => {
+    const calendar = getCalendar(2040);
+    assert.strictEqual(calendar.known, false);
+    assert.strictEqual(calendar.holidays.length, FIXED_HOLIDAYS.length);
+    assert.ok(calendar.holidays.every(h => h.type === 'fixed' && h.date.startsWith('2040-')));
+    assert.deepStrictEqual(calendar.workingDays, []);
+});
+
+test('bad year is rejected', () => {
+    assert.throws(() => getCalendar('abc'), /Xato: Yil noto'g'ri/);
+});
+
+test('transferred working day is worked even on a weekend', () => {
+    const load = createDayLoad({ targetYear: 2026, dailyCapacity: 1, holidays: ['2026-03-13'], workingDays: ['2026-03-14'] });
+    // Friday is a holiday, the Saturday after it is worked
+    assert.strictEqual(load.book(dayjs('2026-03-13')).format('YYYY-MM-DD'), '2026-03-14');
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const dayjs = require('dayjs');
+const { createDayLoad } = require('../src/processor');
+
+const day = date => dayjs(date);
+const format = d => d ? d.format('YYYY-MM-DD') : null;
+
+test('a full day overflows to the next working day', () => {
+    const load = createDayLoad({ targetYear: 2026, dailyCapacity: 2, holidays: ['2026-01-06'] });
+    const booked = [1, 2, 3, 4, 5].map(() => format(load.book(day('2026-01-05'))));
+    // Monday twice, Tuesday is a holiday, then Wednesday
+    assert.deepStrictEqual(booked, ['2026-01-05', '2026-01-05', '2026-01-07', '2026-01-07', '2026-01-08']);
+    assert.strictEqual(load.unmet, 0);
+});
+
+test('overflow skips the weekend unless Saturday is worked', () => {
+    const load = createDayLoad({ targetYear: 2026, dailyCapacity: 1, holidays: [] });
+    assert.deepStrictEqual([1, 2].map(() => format(load.book(day('2026-01-09')))), ['2026-01-09', '2026-01-12']);
+
+    const saturdays = createDayLoad({ targetYear: 2026, dailyCapacity: 1, holidays: [], saturdayWorking: true });
+    assert.deepStrictEqual([1, 2].map(() => format(saturdays.book(day('2026-01-09')))), ['2026-01-09', '2026-01-10']);
+});
+
+test('weekday capacity overrides the daily one', () => {
+    // Monday: 1, other days: 3
+    const load = createDayLoad({ targetYear: 2026, dailyCapacity: 3, weekdayCapacity: [null, 1], holidays: [] });
+    assert.deepStrictEqual([1, 2].map(() => format(load.book(day('2026-01-05')))), ['2026-01-05', '2026-01-06']);
+    assert.strictEqual(load.room(day('2026-01-06')), 2);
+});
+
+test('no free day until the end of the plan period: null and counted as unmet', () => {
+    const load = createDayLoad({ targetYear: 2026, dailyCapacity: 1, holidays: [] });
+    assert.strictEqual(format(load.book(day('2026-12-31'))), '2026-12-31');
+    assert.strictEqual(load.book(day('2026-12-31')), null);
+    assert.strictEqual(load.unmet, 1);
+});
+
+test('overflow stops at the until date', () => {
+    const load = createDayLoad({ targetYear: 2026, dailyCapacity: 1, holidays: [] });
+    load.book(day('2026-03-02'));
+    assert.strictEqual(load.book(day('2026-03-02'), day('2026-03-02')), null);
+    assert.strictEqual(format(load.book(day('2026-03-02'), day('2026-03-03'))), '2026-03-03');
+});
+
+test('without a limit every visit takes the next working day', () => {
+    const load = createDayLoad({ targetYear: 2026, holidays: [] });
+    assert.strictEqual(load.limited, false);
+    assert.deepStrictEqual([1, 2].map(() => format(load.book(day('2026-01-10')))), ['2026-01-12', '2026-01-12']);
+});
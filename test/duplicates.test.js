@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const dayjs = require('dayjs');
+const { findDuplicates, duplicateRowsToRemove } = require('../src/processor');
+
+const record = (row, name, jshshir, birthDate) => ({ row, name, jshshir, birthDate: dayjs(birthDate) });
+
+test('same JSHSHIR is one patient, whatever the name', () => {
+    const groups = findDuplicates([
+        record(2, 'Karimova Dilnoza', '41234567890123', '1990-01-01'),
+        record(3, 'Aliyev Anvar', '', '1985-05-05'),
+        record(4, 'Karimova D.', '4 1234 5678 90123', '1991-02-02')
+    ]);
+    assert.deepStrictEqual(groups, [{ by: 'jshshir', rows: [2, 4], name: 'Karimova Dilnoza', birthDate: '01.01.1990' }]);
+});
+
+test('same name and birth date, ignoring case, spaces and apostrophes', () => {
+    const groups = findDuplicates([
+        record(5, "Yo'ldosheva Malika", '', '2001-03-05'),
+        record(7, 'yo‘ldosheva   MALIKA', '', '2001-03-05'),
+        record(9, "Yo'ldosheva Malika", '', '2001-03-06')
+    ]);
+    assert.strictEqual(groups.length, 1);
+    assert.strictEqual(groups[0].by, 'name');
+    assert.deepStrictEqual(groups[0].rows, [5, 7]);
+});
+
+test('namesakes with different JSHSHIR are not duplicates', () => {
+    const groups = findDuplicates([
+        record(2, 'Karimov Akmal', '31234567890123', '1990-01-01'),
+        record(3, 'Karimov Akmal', '31234567890999', '1990-01-01'),
+        record(4, 'Karimov Akmal', '', '1990-01-01')
+    ]);
+    assert.deepStrictEqual(groups, []);
+});
+
+test('JSHSHIR and name matches join into one group', () => {
+    const groups = findDuplicates([
+        record(2, 'Karimov Akmal', '31234567890123', '1990-01-01'),
+        record(3, 'Karimov A.', '31234567890123', '1990-01-01'),
+        record(6, 'Karimov Akmal', '', '1990-01-01')
+    ]);
+    assert.strictEqual(groups.length, 1);
+    assert.strictEqual(groups[0].by, 'name');
+    assert.deepStrictEqual(groups[0].rows, [2, 3, 6]);
+});
+
+test('duplicate policy: flag keeps all, first keeps the first copy, drop removes every copy', () => {
+    const groups = [{ by: 'name', rows: [2, 5, 8] }, { by: 'jshshir', rows: [3, 4] }];
+    assert.deepStrictEqual([...duplicateRowsToRemove(groups, 'flag')], []);
+    assert.deepStrictEqual([...duplicateRowsToRemove(groups, 'first')].sort((a, b) => a - b), [4, 5, 8]);
+    assert.deepStrictEqual([...duplicateRowsToRemove(groups, 'drop')].sort((a, b) => a - b), [2, 3, 4, 5, 8]);
+});
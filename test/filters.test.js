@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { filterText, validateFilters, matchesFilters } = require('../src/filters');
+const { analyzeExcel } = require('../src/processor');
+const { makeRegister } = require('./helpers');
+
+// Columns: 1 - Dispanser guruhi, 2 - Mahalla, 3 - Nogironlik, 4 - Yoshi
+const cells = ['D', "Yangi O‘zbekiston mahallasi", '', '7,5'];
+
+test('text rules ignore case and apostrophe style', () => {
+    assert.ok(matchesFilters(cells, [{ column: 1, op: 'equals', value: 'd' }]));
+    assert.ok(!matchesFilters(cells, [{ column: 1, op: 'notEquals', value: 'D' }]));
+    assert.ok(matchesFilters(cells, [{ column: 2, op: 'contains', value: "o'zbekiston" }]));
+    assert.ok(matchesFilters(cells, [{ column: 1, op: 'in', value: 'A, d , C' }]));
+    assert.ok(matchesFilters(cells, [{ column: 1, op: 'in', value: ['A', 'D'] }]));
+    assert.ok(matchesFilters(cells, [{ column: 3, op: 'empty' }]));
+    assert.ok(!matchesFilters(cells, [{ column: 3, op: 'notEmpty' }]));
+});
+
+test('numeric rules read decimal commas; text cells never match', () => {
+    assert.ok(matchesFilters(cells, [{ column: 4, op: 'gt', value: '7' }]));
+    assert.ok(matchesFilters(cells, [{ column: 4, op: 'lte', value: '7.5' }]));
+    assert.ok(!matchesFilters(cells, [{ column: 4, op: 'lt', value: '7,5' }]));
+    assert.ok(!matchesFilters(cells, [{ column: 1, op: 'gte', value: '0' }]));
+});
+
+test('all rules by default, any of them for risk flags; no rules - everyone', () => {
+    const rules = [{ column: 1, op: 'equals', value: 'D' }, { column: 3, op: 'notEmpty' }];
+    assert.ok(!matchesFilters(cells, rules));
+    assert.ok(matchesFilters(cells, rules, 'any'));
+    assert.ok(matchesFilters(cells, []));
+    assert.ok(matchesFilters(cells, undefined));
+});
+
+test('dates are compared as DD.MM.YYYY text', () => {
+    assert.strictEqual(filterText(new Date(2026, 2, 5)), '05.03.2026');
+    assert.strictEqual(filterText('  D '), 'D');
+    assert.strictEqual(filterText(null), '');
+});
+
+test('bad rules are rejected with the range title', () => {
+    assert.doesNotThrow(() => validateFilters(undefined, 4, '#1'));
+    assert.doesNotThrow(() => validateFilters([{ column: 3, op: 'empty' }], 4, '#1'));
+    assert.throws(() => validateFilters({}, 4, '#1'), /^Error: Xato: #1: filtrlar ro'yxat/);
+    assert.throws(() => validateFilters([{ column: 5, op: 'equals', value: 'D' }], 4, '#1'), /1-filtr ustuni noto'g'ri: 5/);
+    assert.throws(() => validateFilters([{ column: 1, op: 'like', value: 'D' }], 4, '#2'), /#2: 1-filtr sharti noto'g'ri: like/);
+    assert.throws(() => validateFilters([{ column: 1, op: 'equals', value: ' ' }], 4, '#1'), /qiymati kiritilmagan/);
+    assert.throws(() => validateFilters([{ column: 4, op: 'gt', value: 'ko\'p' }], 4, '#1'), /son bo'lishi kerak/);
+    assert.throws(() => validateFilters([{ column: 1, op: 'in', value: ' , ' }], 4, '#1'), /qiymati kiritilmagan/);
+});
+
+test('/api/analyze counts the patients each range filter keeps, without sending rows', async () => {
+    const register = await makeRegister([
+        ['Karimova Dilnoza', '01.03.1990', '41234567890123'],
+        ['Aliyev Anvar', '02.03.1990', ''],
+        ['Saidova Malika', '03.03.1991', '41234567890124']
+    ]);
+    const result = await analyzeExcel(register, {
+        targetYear: 2026,
+        filters: [[{ column: 4, op: 'notEmpty' }], [{ column: 2, op: 'contains', value: 'aliyev' }]]
+    });
+    assert.deepStrictEqual(result.filterCounts.map(c => c.yearCounts), [
+        { 1990: { total: 1, male: 0, female: 1 }, 1991: { total: 1, male: 0, female: 1 } },
+        { 1990: { total: 1, male: 1, female: 0 } }
+    ]);
+    assert.strictEqual(result.patients, undefined);
+    // Names and JSHSHIR get no value suggestions
+    assert.deepStrictEqual(result.columnValues.filter(c => c.values.length > 0).map(c => c.header), ['№']);
+});
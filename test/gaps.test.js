@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ExcelJS = require('exceljs');
+const { processExcel } = require('../src/processor');
+const { makeRegister, readZipEntry } = require('./helpers');
+
+test('every visit whose gap could not be kept is listed on the Xatolar sheet', async () => {
+    const patients = [];
+    for (let i = 0; i < 20; i++) patients.push([`Bemor ${i + 1}`, `${String(i + 1).padStart(2, '0')}.03.1990`, '']);
+    // Six visits at least 90 days apart do not fit into one year
+    const result = await processExcel(await makeRegister(patients), {
+        targetYear: 2026,
+        ranges: [{ startYear: 1990, endYear: 1990, visitCount: 6, minGap: 90, gender: 'all', counts: Array(12).fill(0) }]
+    });
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(await readZipEntry(result.downloadUrl, 'Umumiy_Reja.xlsx'));
+    const sheet = workbook.getWorksheet('Xatolar');
+    const gapRows = [];
+    sheet.eachRow((row, n) => {
+        if (n > 1 && String(row.getCell(3).value).startsWith("Tashriflar oralig'i (90-∞ kun) saqlanmadi")) gapRows.push(row);
+    });
+
+    const warning = result.warnings.find(w => w.includes('oraliq (90-∞ kun) saqlanmadi'));
+    assert.ok(warning, 'summary warning');
+    assert.strictEqual(warning, `1990-1990: ${gapRows.length} ta tashrifda oraliq (90-∞ kun) saqlanmadi (Umumiy_Reja.xlsx, "Xatolar" varag'iga qarang).`);
+    assert.ok(gapRows.length > 20, 'no cut-off after 20 visits');
+    assert.match(String(gapRows[0].getCell(4).value), /^\d{2}\.\d{2}\.\d{4} dan keyingi \d{2}\.\d{2}\.\d{4} tashrif → /);
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { resolveGender, findGenderColumn, findJshshirColumn } = require('../src/gender');
+
+test('explicit Jinsi column wins over every other source', () => {
+    assert.deepStrictEqual(resolveGender({ gender: 'Ayol', jshshir: '31234567890123', name: 'Karimov Akmal' }),
+        { gender: 'female', source: 'column' });
+    assert.deepStrictEqual(resolveGender({ gender: 'М.', name: 'Иванова Анна' }), { gender: 'male', source: 'column' });
+});
+
+test('JSHSHIR first digit: odd - male, even - female', () => {
+    assert.deepStrictEqual(resolveGender({ jshshir: '3 1234 5678 90123' }), { gender: 'male', source: 'jshshir' });
+    assert.deepStrictEqual(resolveGender({ jshshir: 41234567890123 }), { gender: 'female', source: 'jshshir' });
+    // Not 14 digits or unknown century: next source decides
+    assert.strictEqual(resolveGender({ jshshir: '4123', name: 'Karimov Akmal' }).source, 'surname');
+    assert.strictEqual(resolveGender({ jshshir: '91234567890123', name: 'Karimov Akmal' }).source, 'surname');
+});
+
+test('patronymic beats the surname ending', () => {
+    assert.deepStrictEqual(resolveGender({ name: 'Karimov Dilnoza Akmal qizi' }), { gender: 'female', source: 'patronymic' });
+    assert.deepStrictEqual(resolveGender({ name: "Karimova Akmal Anvar o‘g‘li" }), { gender: 'male', source: 'patronymic' });
+    assert.deepStrictEqual(resolveGender({ name: 'Петров Иван Иванович' }), { gender: 'male', source: 'patronymic' });
+    assert.deepStrictEqual(resolveGender({ name: 'Иванов Анна Петровна' }), { gender: 'female', source: 'patronymic' });
+});
+
+test('surname ending, then the default', () => {
+    assert.deepStrictEqual(resolveGender({ name: 'Karimova Dilnoza' }), { gender: 'female', source: 'surname' });
+    assert.deepStrictEqual(resolveGender({ name: 'Karimov Akmal' }), { gender: 'male', source: 'surname' });
+    assert.deepStrictEqual(resolveGender({ name: 'Musa Ota' }), { gender: 'male', source: 'default' });
+    assert.deepStrictEqual(resolveGender({}), { gender: 'male', source: 'default' });
+});
+
+test('gender and JSHSHIR columns are found by header', () => {
+    assert.strictEqual(findGenderColumn(['№', 'F.I.SH', 'Jinsi']), 'Jinsi');
+    assert.strictEqual(findGenderColumn(['№', 'Пол']), 'Пол');
+    assert.strictEqual(findJshshirColumn(['№', 'ПИНФЛ', 'Пол']), 'ПИНФЛ');
+    assert.strictEqual(findGenderColumn(['№', 'F.I.SH']), null);
+});
@@ -0,0 +1,31 @@
+const path = require('path');
+const fs = require('fs');
+const ExcelJS = require('exceljs');
+const JSZip = require('jszip');
+
+/**
+ * Test register: a title row above the header, one patient per row
+ * @param {Array} patients - [[name, birthDate 'DD.MM.YYYY', jshshir]]
+ */
+async function makeRegister(patients, title = 'Hisobot 2026') {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Aholi');
+    sheet.addRow([title]);
+    sheet.addRow(['№', 'F.I.SH', "Tug'ilgan sanasi", 'JSHSHIR']);
+    patients.forEach((p, i) => sheet.addRow([i + 1, ...p]));
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+/**
+ * Read one file from the ZIP that processExcel wrote to dist/, then remove the ZIP
+ * @param {string|RegExp} fileName - Name, or a pattern for the first matching file
+ */
+async function readZipEntry(downloadUrl, fileName) {
+    const zipPath = path.join(__dirname, '../dist', path.basename(downloadUrl));
+    const zip = await JSZip.loadAsync(fs.readFileSync(zipPath));
+    fs.unlinkSync(zipPath);
+    const entry = fileName instanceof RegExp ? zip.file(fileName)[0] : zip.file(fileName);
+    return entry ? entry.async('nodebuffer') : null;
+}
+
+module.exports = { makeRegister, readZipEntry };
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const dayjs = require('dayjs');
+const { eventUid, buildIcs } = require('../src/ics');
+const { processExcel } = require('../src/processor');
+const { makeRegister, readZipEntry } = require('./helpers');
+
+test('event UID depends only on its parts', () => {
+    const uid = eventUid('31234567890123', '1990-2000.xlsx', 1, '2026-01');
+    assert.match(uid, /^[0-9a-f]{24}@tibbiyreja$/);
+    assert.strictEqual(eventUid('31234567890123', '1990-2000.xlsx', 1, '2026-01'), uid);
+    assert.notStrictEqual(eventUid('31234567890123', '1990-2000.xlsx', 2, '2026-01'), uid);
+    assert.notStrictEqual(eventUid('31234567890123', '1990-2000.xlsx', 1, '2027-01'), uid);
+});
+
+test('calendar file: escaped text, all-day and timed events, CRLF lines', () => {
+    const ics = buildIcs('Uchastka 1', [
+        { uid: 'a@tibbiyreja', start: dayjs('2026-03-02'), minutes: null, summary: 'Karimova, Dilnoza; 1' },
+        { uid: 'b@tibbiyreja', start: dayjs('2026-03-02T09:30:00'), minutes: 15, summary: 'Aliyev Anvar' }
+    ]);
+    assert.ok(ics.includes('SUMMARY:Karimova\\, Dilnoza\\; 1\r\n'));
+    assert.ok(ics.includes('DTSTART;VALUE=DATE:20260302\r\nDTEND;VALUE=DATE:20260303\r\n'));
+    assert.ok(ics.includes('DTSTART:20260302T093000\r\nDTEND:20260302T094500\r\n'));
+    assert.strictEqual(ics.match(/BEGIN:VEVENT/g).length, 2);
+});
+
+const uids = ics => ics.match(/^UID:.*$/gm);
+
+async function planUids(targetYear) {
+    const patients = [];
+    for (let i = 0; i < 6; i++) patients.push([`Bemor ${i + 1}`, `0${i + 1}.03.1990`, String(31234567890000 + i)]);
+    const result = await processExcel(await makeRegister(patients), {
+        targetYear,
+        ranges: [{ startYear: 1990, endYear: 1990, visitCount: 2, gender: 'all', counts: Array(12).fill(1) }]
+    });
+    return uids((await readZipEntry(result.downloadUrl, /\.ics$/)).toString('utf8'));
+}
+
+test('regenerated plan keeps its UIDs, next year\'s plan gets new ones', async () => {
+    const first = await planUids(2026);
+    assert.strictEqual(first.length, 12);
+    assert.strictEqual(new Set(first).size, 12);
+    assert.deepStrictEqual(await planUids(2026), first);
+    const next = await planUids(2027);
+    assert.ok(next.every(uid => !first.includes(uid)));
+});
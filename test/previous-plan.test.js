@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ExcelJS = require('exceljs');
+const { processExcel } = require('../src/processor');
+const { makeRegister, readZipEntry } = require('./helpers');
+
+const patients = [];
+for (let i = 0; i < 12; i++) {
+    patients.push([`Bemor ${i + 1}`, `${String(i + 1).padStart(2, '0')}.03.19${80 + i}`, i % 2 ? '' : String(31234567890000 + i)]);
+}
+
+const plan = targetYear => ({
+    targetYear,
+    ranges: [{ startYear: 1980, endYear: 1991, visitCount: 2, gender: 'all', counts: Array(12).fill(2) }]
+});
+
+// Plans the register for 2026, then for 2027 with the 2026 Umumiy_Reja.xlsx as last year's plan
+async function roundTrip(editPlan = null) {
+    const register = await makeRegister(patients, 'Hisobot 2026');
+    const first = await processExcel(register, plan(2026));
+    let previous = await readZipEntry(first.downloadUrl, 'Umumiy_Reja.xlsx');
+    assert.ok(previous, 'Umumiy_Reja.xlsx is in the ZIP');
+    if (editPlan) {
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.load(previous);
+        editPlan(workbook.getWorksheet('Umumiy Reja'));
+        previous = Buffer.from(await workbook.xlsx.writeBuffer());
+    }
+
+    const second = await processExcel(register, plan(2027), previous);
+    await readZipEntry(second.downloadUrl, 'Umumiy_Reja.xlsx');
+    return second.warnings.find(w => w.startsWith("O'tgan yil rejasi:"));
+}
+
+test('own Umumiy_Reja.xlsx is read back as last year\'s plan', async () => {
+    assert.strictEqual(await roundTrip(), `O'tgan yil rejasi: ${patients.length} ta bemor topildi, 0 ta yangi bemor.`);
+});
+
+test('title row with register keywords is not taken for the plan header', async () => {
+    // "yil" in the carried-over title row matches the register header keywords
+    const found = await roundTrip(sheet => { sheet.getCell('A1').value = '2026 yil reja'; });
+    assert.strictEqual(found, `O'tgan yil rejasi: ${patients.length} ta bemor topildi, 0 ta yangi bemor.`);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const dayjs = require('dayjs');
+const { planPeriod, findRangeOverlaps, assignRanges } = require('../src/processor');
+
+const period = planPeriod({ targetYear: 2026 });
+const patient = (birthDate, gender = 'female', cells = []) => ({ _birthDate: dayjs(birthDate), _gender: gender, _cells: cells });
+
+test('ranges sharing birth years and a compatible gender overlap', () => {
+    const ranges = [
+        { startYear: 1980, endYear: 1990, gender: 'all' },
+        { startYear: 1988, endYear: 1995, gender: 'female' },
+        { startYear: 1989, endYear: 2000, gender: 'male' },
+        { startYear: 2001, endYear: 2005, gender: 'all' }
+    ];
+    assert.deepStrictEqual(findRangeOverlaps(ranges, period), [
+        { a: 0, b: 1, from: 1988, to: 1990 },
+        { a: 0, b: 2, from: 1989, to: 1990 }
+    ]);
+});
+
+test('age-on-visit ranges with disjoint ages split the year instead of overlapping', () => {
+    const ranges = [
+        { type: 'age', minAge: 0, maxAge: 11, ageUnit: 'months', ageAt: 'visit' },
+        { type: 'age', minAge: 12, maxAge: 23, ageUnit: 'months', ageAt: 'visit' }
+    ];
+    assert.deepStrictEqual(findRangeOverlaps(ranges, period), []);
+
+    // Turns one in the middle of the year: both ranges, one for each part of the year
+    const rows = [patient('2025-07-15')];
+    assert.deepStrictEqual(assignRanges(rows, ranges, 'first', period), {});
+    assert.deepStrictEqual(rows[0]._rangeIndexes, [0, 1]);
+});
+
+test('competing ranges: first range, or the most specific one', () => {
+    const ranges = [
+        { startYear: 1980, endYear: 2000, gender: 'all' },
+        { startYear: 1985, endYear: 1995, gender: 'all' },
+        { startYear: 1985, endYear: 1995, gender: 'female' }
+    ];
+    const rows = [patient('1990-05-05', 'female'), patient('1990-05-05', 'male'), patient('1982-01-01', 'male')];
+
+    const pairs = assignRanges(rows, ranges, 'first', period);
+    assert.deepStrictEqual(pairs, { '0-1': 2, '0-2': 1, '1-2': 1 });
+    assert.deepStrictEqual(rows.map(r => r._rangeIndexes), [[0], [0], [0]]);
+
+    assignRanges(rows, ranges, 'specific', period);
+    assert.deepStrictEqual(rows.map(r => r._rangeIndexes), [[2], [1], [0]]);
+});
+
+test('column filters make a range more specific', () => {
+    const ranges = [
+        { startYear: 1985, endYear: 1995, gender: 'all' },
+        { startYear: 1985, endYear: 1995, gender: 'all', filters: [{ column: 1, op: 'equals', value: 'D' }] }
+    ];
+    const rows = [patient('1990-05-05', 'male', ['D']), patient('1990-05-05', 'male', ['A'])];
+    assignRanges(rows, ranges, 'specific', period);
+    assert.deepStrictEqual(rows.map(r => r._rangeIndexes), [[1], [0]]);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ExcelJS = require('exceljs');
+const { loadTemplate, fillTemplate } = require('../src/template');
+
+const headers = ['№', 'F.I.SH', "Tug'ilgan sanasi"];
+
+// Title, header, data row (3) and a footer with totals over the data row
+async function makeTemplate() {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Shablon');
+    sheet.addRow(['{{month}} {{year}}']);
+    sheet.addRow(['№', 'F.I.SH', 'Tashrif', 'Ikki barobar']);
+    sheet.addRow(['{{n}}', '{{col:F.I.SH}}', '{{visit:1}}', { formula: 'A3*2' }]);
+    sheet.addRow(['Jami', { formula: 'COUNTA(B3:B3)' }, { formula: 'IF(A3>0,"B3:B3",Other!B3)' }, { formula: 'SUM($D$3:D3)' }]);
+    sheet.addRow(['Imzo', { formula: 'B4' }]);
+    return loadTemplate(Buffer.from(await workbook.xlsx.writeBuffer()), headers);
+}
+
+function fill(template, count) {
+    const rows = [];
+    for (let i = 0; i < count; i++) rows.push({ 'F.I.SH': `Bemor ${i + 1}`, 'Tashrif sanasi': new Date(Date.UTC(2026, 0, 5 + i)) });
+    const sheet = new ExcelJS.Workbook().addWorksheet('Yanvar');
+    fillTemplate(sheet, template, { month: 'Yanvar', year: 2026 }, rows, { visitKeys: ['Tashrif sanasi'], timeKeys: [] });
+    return sheet;
+}
+
+test('footer formulas follow the repeated data row', async () => {
+    const sheet = fill(await makeTemplate(), 4);
+
+    assert.strictEqual(sheet.getCell('B6').value, 'Bemor 4');
+    assert.strictEqual(sheet.getCell('A7').value, 'Jami');
+    assert.strictEqual(sheet.getCell('B7').value.formula, 'COUNTA(B3:B6)');
+    assert.strictEqual(sheet.getCell('D7').value.formula, 'SUM($D$3:D6)');
+    // Quoted text and other sheets are not references of this sheet
+    assert.strictEqual(sheet.getCell('C7').value.formula, 'IF(A3>0,"B3:B3",Other!B3)');
+    // Reference to a footer cell moves with it
+    assert.strictEqual(sheet.getCell('B8').value.formula, 'B7');
+});
+
+test('data row formulas point at their own patient row', async () => {
+    const sheet = fill(await makeTemplate(), 3);
+
+    assert.strictEqual(sheet.getCell('D3').value.formula, 'A3*2');
+    assert.strictEqual(sheet.getCell('D5').value.formula, 'A5*2');
+});
+
+test('month without patients keeps the footer formulas valid', async () => {
+    const sheet = fill(await makeTemplate(), 0);
+
+    assert.strictEqual(sheet.getCell('A4').value, 'Jami');
+    assert.strictEqual(sheet.getCell('B4').value.formula, 'COUNTA(B3:B3)');
+});